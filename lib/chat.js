@@ -0,0 +1,83 @@
+/**
+ * Room chat: history, commands and mentions
+ *
+ * Every message is typed so all clients render them the same way:
+ *
+ *   { id, ts, type: 'user',   from, slot, text, mentions }
+ *   { id, ts, type: 'me',     from, slot, text, mentions }   "/me waves"
+ *   { id, ts, type: 'system', event, name?, ... }           joins, host, ROM…
+ *
+ * System messages carry an event code and its arguments instead of a
+ * sentence; the pages word them (public/js/chat-view.js).
+ */
+
+'use strict';
+
+const MAX_CHAT_LENGTH = 200;
+
+/** Bounded message history, replayed to members when they join. */
+class ChatLog {
+  constructor (limit = 100) {
+    this.limit    = limit;
+    this.messages = [];
+    this._nextId  = 1;
+  }
+
+  /** Stamps `msg` with an id and time, stores it and returns it. */
+  push (msg) {
+    const stamped = { id: this._nextId++, ts: Date.now(), ...msg };
+    this.messages.push(stamped);
+    if (this.messages.length > this.limit) this.messages.splice(0, this.messages.length - this.limit);
+    return stamped;
+  }
+
+  list () {
+    return this.messages.slice();
+  }
+
+  /** Plain form for the room store; see ChatLog.restore. */
+  toJSON () {
+    return { messages: this.messages, nextId: this._nextId };
+  }
+
+  static restore (data, limit) {
+    const log = new ChatLog(limit);
+    if (data && Array.isArray(data.messages)) {
+      log.messages = data.messages.slice(-log.limit);
+      log._nextId  = Math.max(Number(data.nextId) || 1, ...log.messages.map(m => m.id + 1));
+    }
+    return log;
+  }
+}
+
+/** Trims, drops control characters and caps the length. */
+function cleanChatText (text) {
+  return String(text ?? '').replace(/[\u0000-\u001f\u007f]+/g, ' ').trim().slice(0, MAX_CHAT_LENGTH);
+}
+
+/**
+ * Splits "/command argument".
+ * @returns {{ command: string, arg: string } | null} null for plain text
+ */
+function parseChatCommand (text) {
+  const m = /^\/([a-z]+)(?:\s+(.*))?$/i.exec(text);
+  return m ? { command: m[1].toLowerCase(), arg: (m[2] || '').trim() } : null;
+}
+
+/**
+ * Names from `names` mentioned as "@name" in `text` (case-insensitive).
+ * Longer names are tried first so "@Ana Paula" doesn't also count as "@Ana".
+ */
+function findMentions (text, names) {
+  let rest = text;
+  const found = [];
+  for (const name of [...new Set(names)].filter(Boolean).sort((a, b) => b.length - a.length)) {
+    const re = new RegExp('@' + name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '(?![\\p{L}\\p{N}_])', 'giu');
+    if (!re.test(rest)) continue;
+    found.push(name);
+    rest = rest.replace(re, ' ');
+  }
+  return found;
+}
+
+module.exports = { ChatLog, cleanChatText, parseChatCommand, findMentions, MAX_CHAT_LENGTH };
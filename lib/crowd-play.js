@@ -0,0 +1,69 @@
+/**
+ * Chat plays: chat commands as joypad input
+ *
+ * In a crowd room (settings.crowd) a chat message that is nothing but a
+ * button name, optionally followed by a repeat count, drives one slot:
+ *
+ *   up   a   start   right3   right 3   l x2
+ *
+ * Buttons go by what the console calls them (Systems.label), so "c" on the
+ * Mega Drive is its C button and "1" / "2" work on the Master System; the
+ * RetroPad names are accepted too when no label takes them. A count repeats
+ * the press up to MAX_REPEAT times.
+ *
+ * In democracy mode the votes cast during a window are counted and the
+ * winner is pressed; tallyVotes() does the counting. The timers live in
+ * server.js.
+ */
+
+'use strict';
+
+const Systems = require('../public/js/systems');
+
+const MAX_REPEAT = 9;
+const PRESS_MS   = 120;   // each press holds the button this long…
+const GAP_MS     = 80;    // …then lets go this long before the next one
+
+/**
+ * @param {string} text     a chat message, already cleaned (lib/chat.js)
+ * @param {string} system   room console id
+ * @returns {{ button: string, times: number, command: string } | null}
+ *   button is the RetroPad name (Systems.PAD_BITS); command is the canonical
+ *   spelling ("right3") used for tallies. null when `text` is not a command.
+ */
+function parseCrowdCommand (text, system) {
+  const m = /^([a-z]+|\d)\s*(?:x\s*)?([1-9])?$/i.exec(String(text || '').trim());
+  if (!m) return null;
+  const word = m[1].toLowerCase();
+  const sys  = Systems.get(system);
+  const button = sys.buttons.find(b => Systems.label(sys.id, b).toLowerCase() === word)
+    || sys.buttons.find(b => b.toLowerCase() === word);
+  if (!button) return null;
+  const times = Math.min(MAX_REPEAT, Number(m[2]) || 1);
+  return { button, times, command: Systems.label(sys.id, button).toLowerCase() + (times > 1 ? times : '') };
+}
+
+/**
+ * Counts one vote per voter.
+ * @param {Iterable<{ command: string, at: number }>} votes  in casting order
+ * @returns {{ votes: { command: string, count: number }[], total: number,
+ *             winner: { command: string, count: number } | null }}
+ *   votes sorted by count; ties go to the command that reached its count first
+ */
+function tallyVotes (votes) {
+  const counts = new Map();   // command → { count, reachedAt }
+  let total = 0;
+  for (const { command, at } of votes) {
+    const c = counts.get(command) || { count: 0, reachedAt: 0 };
+    c.count++;
+    c.reachedAt = at;
+    counts.set(command, c);
+    total++;
+  }
+  const sorted = [...counts]
+    .sort(([, a], [, b]) => b.count - a.count || a.reachedAt - b.reachedAt)
+    .map(([command, { count }]) => ({ command, count }));
+  return { votes: sorted, total, winner: sorted[0] || null };
+}
+
+module.exports = { parseCrowdCommand, tallyVotes, MAX_REPEAT, PRESS_MS, GAP_MS };
@@ -0,0 +1,215 @@
+/**
+ * Socket.IO event validation
+ *
+ * Every client → server event is declared in a rule table (see server.js).
+ * The guard runs as per-socket middleware before any handler and drops a
+ * packet when:
+ *   – the event is not declared,
+ *   – the sender lacks the role the rule asks for,
+ *   – the payload doesn't match the rule's shape or is over its size limit,
+ *   – the sender exceeded the event's rate limit, or
+ *   – the rule's own check fails (e.g. a WebRTC target in another room).
+ *
+ * A dropped event that carries an ack callback is answered with
+ * { error, code }; otherwise the sender gets `event:rejected`. Every
+ * rejection goes to the audit log (throttled per socket so a flood can't
+ * drown it).
+ *
+ * Rule:
+ *   { who:      'any' | role | role[]   roles come from the `roles` callback
+ *     payload:  { field: spec } | 'any'
+ *     maxBytes: number                   approximate payload size limit
+ *     rate:     [burst, perSecond]
+ *     check:    (socket, payload) => string | null   error message or null }
+ *
+ * Field specs are strings: 'string:64', 'int', 'uint', 'number', 'boolean',
+ * 'object', 'buffer:1024', 'any'; a trailing '?' makes the field optional
+ * (undefined or null). Events whose rule declares no fields may be sent
+ * without a payload; all others need an object.
+ */
+
+'use strict';
+
+const { RateLimiter } = require('./rate-limit');
+
+const DEFAULT_MAX_BYTES = 4096;
+const DEFAULT_RATE      = [20, 10];
+const AUDIT_SIZE        = 500;
+const AUDIT_RATE        = { burst: 10, perSecond: 0.2 };   // logged rejections per socket
+
+class GuardError extends Error {
+  constructor (code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+// ─── Payload shape ────────────────────────────────────────────────────────────
+const TYPE_CHECKS = {
+  string:  (v, max) => typeof v === 'string' && (!max || v.length <= max),
+  number:  v => typeof v === 'number' && Number.isFinite(v),
+  int:     v => Number.isInteger(v),
+  uint:    v => Number.isInteger(v) && v >= 0,
+  boolean: v => typeof v === 'boolean',
+  object:  v => typeof v === 'object' && !Array.isArray(v) && !Buffer.isBuffer(v),
+  buffer:  (v, max) => Buffer.isBuffer(v) && (!max || v.length <= max),
+  any:     () => true,
+};
+
+function parseSpec (spec) {
+  const optional = spec.endsWith('?');
+  const [type, max] = (optional ? spec.slice(0, -1) : spec).split(':');
+  if (!TYPE_CHECKS[type]) throw new Error(`Unknown field type "${type}"`);
+  return { type, max: max ? Number(max) : 0, optional };
+}
+
+function compileShape (payload) {
+  if (payload === 'any') return 'any';
+  return Object.fromEntries(Object.entries(payload || {}).map(([k, spec]) => [k, parseSpec(spec)]));
+}
+
+/** @throws {GuardError} */
+function checkShape (shape, payload) {
+  if (shape === 'any') return;
+  if (payload == null && !Object.keys(shape).length) return;
+  if (payload == null || typeof payload !== 'object' || Array.isArray(payload) || Buffer.isBuffer(payload)) {
+    throw new GuardError('bad-payload', 'Payload must be an object.');
+  }
+  for (const key of Object.keys(payload)) {
+    if (!shape[key]) throw new GuardError('bad-payload', `Unexpected field "${key}".`);
+  }
+  for (const [key, { type, max, optional }] of Object.entries(shape)) {
+    const v = payload[key];
+    if (v == null) {
+      if (optional) continue;
+      throw new GuardError('bad-payload', `Missing field "${key}".`);
+    }
+    if (!TYPE_CHECKS[type](v, max)) throw new GuardError('bad-payload', `Invalid field "${key}".`);
+  }
+}
+
+/**
+ * Rough size of a decoded payload, in bytes. Stops counting (and returns
+ * Infinity) once past `limit` or when nested too deep, so hostile payloads
+ * cost little to reject.
+ */
+function payloadSize (value, limit, depth = 0) {
+  if (depth > 8) return Infinity;
+  if (value == null || typeof value === 'boolean') return 1;
+  if (typeof value === 'number') return 8;
+  if (typeof value === 'string') return value.length;
+  if (Buffer.isBuffer(value) || ArrayBuffer.isView(value)) return value.byteLength;
+  if (typeof value !== 'object') return 0;
+  let total = 0;
+  for (const [k, v] of Object.entries(value)) {
+    total += k.length + payloadSize(v, limit - total, depth + 1);
+    if (total > limit) return Infinity;
+  }
+  return total;
+}
+
+// ─── Guard ────────────────────────────────────────────────────────────────────
+class EventGuard {
+  /**
+   * @param {object} opts
+   * @param {Object<string, object>} opts.rules  event name → rule
+   * @param {(socket) => Set<string>} opts.roles  the sender's current roles
+   * @param {(entry: object) => void} [opts.onReject]  called for each logged rejection
+   */
+  constructor ({ rules, roles, onReject = () => {} }) {
+    this.rules    = {};
+    this.roles    = roles;
+    this.onReject = onReject;
+    this.audit    = [];                 // newest last, at most AUDIT_SIZE
+    this.rejected = 0;                  // every rejection, logged or not
+    this._state   = new WeakMap();      // socket → { limits, audit, suppressed }
+
+    for (const [event, rule] of Object.entries(rules)) {
+      const [burst, perSecond] = rule.rate || DEFAULT_RATE;
+      const who = rule.who || 'member';
+      this.rules[event] = {
+        who:      who === 'any' ? null : [].concat(who),
+        shape:    compileShape(rule.payload),
+        maxBytes: rule.maxBytes || DEFAULT_MAX_BYTES,
+        rate:     { burst, perSecond },
+        check:    rule.check || null,
+      };
+    }
+  }
+
+  /** For io.on('connection'): socket.use(guard.middleware(socket)) */
+  middleware (socket) {
+    return (packet, next) => {
+      const [event, ...args] = packet;
+      const ack = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+      try {
+        this._validate(socket, event, args);
+      } catch (err) {
+        if (!(err instanceof GuardError)) throw err;
+        this._reject(socket, event, err, ack);
+        return;   // the handler never runs
+      }
+      next();
+    };
+  }
+
+  _validate (socket, event, args) {
+    const rule = Object.hasOwn(this.rules, event) ? this.rules[event] : null;
+    if (!rule) throw new GuardError('unknown-event', 'Unknown event.');
+    if (rule.who) {
+      const roles = this.roles(socket);
+      if (!rule.who.some(r => roles.has(r))) {
+        throw new GuardError('forbidden', `Requires role: ${rule.who.join(' or ')}.`);
+      }
+    }
+    if (args.length > 1) throw new GuardError('bad-payload', 'Too many arguments.');
+    const payload = args[0];
+    if (payloadSize(payload, rule.maxBytes) > rule.maxBytes) {
+      throw new GuardError('too-large', 'Payload too large.');
+    }
+    checkShape(rule.shape, payload);
+
+    const state = this._socketState(socket);
+    let limit = state.limits.get(event);
+    if (!limit) state.limits.set(event, limit = new RateLimiter(rule.rate));
+    if (!limit.take()) throw new GuardError('rate-limited', 'Too many requests.');
+
+    const problem = rule.check && rule.check(socket, payload || {});
+    if (problem) throw new GuardError('refused', problem);
+  }
+
+  _socketState (socket) {
+    let state = this._state.get(socket);
+    if (!state) {
+      state = { limits: new Map(), audit: new RateLimiter(AUDIT_RATE), suppressed: 0 };
+      this._state.set(socket, state);
+    }
+    return state;
+  }
+
+  _reject (socket, event, err, ack) {
+    this.rejected++;
+    const state = this._socketState(socket);
+    if (ack) ack({ error: err.message, code: err.code });
+    if (!state.audit.take()) {
+      state.suppressed++;
+      return;
+    }
+    if (!ack) socket.emit('event:rejected', { event, code: err.code, message: err.message });
+    const entry = {
+      ts:         Date.now(),
+      socketId:   socket.id,
+      roomId:     socket.data.roomId || null,
+      event:      String(event).slice(0, 64),
+      code:       err.code,
+      reason:     err.message,
+      suppressed: state.suppressed,   // rejections from this socket not logged since the last entry
+    };
+    state.suppressed = 0;
+    this.audit.push(entry);
+    if (this.audit.length > AUDIT_SIZE) this.audit.shift();
+    this.onReject(entry, socket);
+  }
+}
+
+module.exports = { EventGuard, GuardError, payloadSize };
@@ -0,0 +1,135 @@
+/**
+ * Minimal Prometheus metrics (text exposition format 0.0.4)
+ *
+ * Counters and histograms are updated as things happen; gauges (and counters
+ * kept elsewhere) are read through a `collect` callback when /metrics is
+ * scraped. Label values are passed as plain objects.
+ */
+
+'use strict';
+
+const escapeLabel = v => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function labelText (labels) {
+  const pairs = Object.entries(labels || {});
+  return pairs.length ? `{${pairs.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}` : '';
+}
+
+const labelKey = labels => JSON.stringify(Object.entries(labels || {}).sort());
+
+class Counter {
+  constructor (collect) {
+    this.type    = 'counter';
+    this.collect = collect;
+    this.values  = new Map();   // labelKey → { labels, value }
+  }
+
+  inc (labels = {}, n = 1) {
+    const key = labelKey(labels);
+    const entry = this.values.get(key);
+    if (entry) entry.value += n;
+    else this.values.set(key, { labels, value: n });
+  }
+
+  samples () {
+    if (this.collect) return [].concat(this.collect());
+    return [...this.values.values()];
+  }
+}
+
+class Gauge extends Counter {
+  constructor (collect) {
+    super(collect);
+    this.type = 'gauge';
+  }
+}
+
+class Histogram {
+  constructor (buckets) {
+    this.type    = 'histogram';
+    this.buckets = [...buckets].sort((a, b) => a - b);
+    this.series  = new Map();   // labelKey → { labels, counts, sum, count }
+  }
+
+  observe (labels, value) {
+    const key = labelKey(labels);
+    let s = this.series.get(key);
+    if (!s) this.series.set(key, s = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+    this.buckets.forEach((le, i) => { if (value <= le) s.counts[i]++; });
+    s.sum += value;
+    s.count++;
+  }
+
+  lines (name) {
+    const out = [];
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((le, i) => out.push(`${name}_bucket${labelText({ ...labels, le })} ${counts[i]}`));
+      out.push(`${name}_bucket${labelText({ ...labels, le: '+Inf' })} ${count}`);
+      out.push(`${name}_sum${labelText(labels)} ${sum}`);
+      out.push(`${name}_count${labelText(labels)} ${count}`);
+    }
+    return out;
+  }
+}
+
+/** Events per second over a sliding window of one-second buckets. */
+class Meter {
+  constructor (windowSec = 10) {
+    this.window  = windowSec;
+    this.buckets = new Array(windowSec).fill(0);
+    this.second  = Math.floor(Date.now() / 1000);
+  }
+
+  mark (n = 1, now = Date.now()) {
+    this._advance(now);
+    this.buckets[this.second % this.window] += n;
+  }
+
+  /** Average rate over the window, excluding the second in progress. */
+  rate (now = Date.now()) {
+    this._advance(now);
+    const current = this.buckets[this.second % this.window];
+    return (this.buckets.reduce((a, b) => a + b, 0) - current) / (this.window - 1);
+  }
+
+  _advance (now) {
+    const second = Math.floor(now / 1000);
+    for (let s = Math.max(this.second + 1, second - this.window + 1); s <= second; s++) {
+      this.buckets[s % this.window] = 0;
+    }
+    this.second = Math.max(this.second, second);
+  }
+}
+
+class Registry {
+  constructor () {
+    this.metrics = new Map();   // name → { help, metric }
+  }
+
+  _add (name, help, metric) {
+    this.metrics.set(name, { help, metric });
+    return metric;
+  }
+
+  counter (name, help, collect)    { return this._add(name, help, new Counter(collect)); }
+  gauge (name, help, collect)      { return this._add(name, help, new Gauge(collect)); }
+  histogram (name, help, buckets)  { return this._add(name, help, new Histogram(buckets)); }
+
+  render () {
+    const out = [];
+    for (const [name, { help, metric }] of this.metrics) {
+      out.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${metric.type}`);
+      if (metric.type === 'histogram') {
+        out.push(...metric.lines(name));
+        continue;
+      }
+      for (const s of metric.samples()) {
+        const { labels, value } = typeof s === 'number' ? { labels: {}, value: s } : s;
+        out.push(`${name}${labelText(labels)} ${Number.isFinite(value) ? value : 0}`);
+      }
+    }
+    return out.join('\n') + '\n';
+  }
+}
+
+module.exports = { Registry, Meter };
@@ -0,0 +1,92 @@
+/**
+ * Offline / LAN support
+ *
+ * EmulatorJS is normally pulled from its CDN. For play without internet its
+ * `data/` folder (loader.js, emulator bundle, the consoles' cores) can be copied into a
+ * local directory, which the server then serves at /emulatorjs/. `npm run
+ * setup` checks that directory with checkEmulatorJs().
+ *
+ * WebRTC needs no STUN server on a LAN: with an empty ICE server list the
+ * browsers only exchange host candidates. parseIceServers() reads the list
+ * from the ICE_SERVERS environment variable.
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const Systems = require('../public/js/systems');
+
+const EJS_CDN_URL = 'https://cdn.emulatorjs.org/stable/data/';
+
+// The core EmulatorJS loads for each Systems `core` (the EJS_core the pages
+// set): its default for that system
+const EJS_CORES = {
+  snes:   'snes9x',
+  nes:    'fceumm',
+  gb:     'gambatte',
+  gba:    'mgba',
+  segaMD: 'genesis_plus_gx',
+  segaMS: 'smsplus',
+  segaGG: 'genesis_plus_gx',
+};
+
+// Every core ships in several builds; any one of them will do
+function coreFiles (core) {
+  return ['wasm', 'thread-wasm', 'legacy-wasm'].map(build => `cores/${core}-${build}.data`);
+}
+
+// Paths inside the EmulatorJS data folder. Each entry is a list of
+// alternatives; one of them must exist.
+const EJS_REQUIRED = [
+  ['loader.js'],
+  ['emulator.min.js', 'emulator.js'],
+  ['emulator.min.css', 'emulator.css'],
+  ...[...new Set(Object.values(Systems.all).map(s => EJS_CORES[s.core] || s.core))].map(coreFiles),
+  ['compression/extractzip.js'],
+];
+
+/**
+ * @param {string} dir  the EmulatorJS data folder
+ * @returns {{ ok: boolean, found: string[], missing: string[][] }}
+ */
+function checkEmulatorJs (dir) {
+  const found = [], missing = [];
+  for (const choices of EJS_REQUIRED) {
+    const hit = choices.find(file => fs.existsSync(path.join(dir, file)));
+    if (hit) found.push(hit);
+    else missing.push(choices);
+  }
+  return { ok: missing.length === 0, found, missing };
+}
+
+/**
+ * ICE_SERVERS accepts:
+ *   (unset)                 Google's public STUN servers, as before
+ *   none                    no servers: host candidates only (LAN)
+ *   stun:a:3478,stun:b      comma-separated URLs without credentials
+ *   [{"urls": …, …}]        a JSON RTCIceServer list (TURN with credentials)
+ * @throws {Error} on malformed JSON
+ */
+function parseIceServers (value) {
+  const text = String(value ?? '').trim();
+  if (!text) {
+    return [
+      { urls: 'stun:stun.l.google.com:19302' },
+      { urls: 'stun:stun1.l.google.com:19302' },
+    ];
+  }
+  if (text.toLowerCase() === 'none') return [];
+  if (text.startsWith('[')) {
+    let list;
+    try { list = JSON.parse(text); }
+    catch (e) { throw new Error(`ICE_SERVERS is not valid JSON: ${e.message}`); }
+    if (!Array.isArray(list) || !list.every(s => s && (typeof s.urls === 'string' || Array.isArray(s.urls)))) {
+      throw new Error('ICE_SERVERS must be a JSON array of { urls, username?, credential? }.');
+    }
+    return list;
+  }
+  return text.split(',').map(u => u.trim()).filter(Boolean).map(urls => ({ urls }));
+}
+
+module.exports = { EJS_CDN_URL, EJS_REQUIRED, checkEmulatorJs, parseIceServers };
@@ -0,0 +1,28 @@
+/**
+ * Token bucket rate limiter
+ *
+ * Allows `burst` actions at once, refilled at `perSecond`. Used for chat
+ * messages and the per-event limits in lib/event-guard.js.
+ */
+
+'use strict';
+
+class RateLimiter {
+  constructor ({ burst = 5, perSecond = 1 } = {}) {
+    this.burst     = burst;
+    this.perSecond = perSecond;
+    this.tokens    = burst;
+    this.last      = Date.now();
+  }
+
+  /** Spends one token; false when the bucket is empty. */
+  take (now = Date.now()) {
+    this.tokens = Math.min(this.burst, this.tokens + (now - this.last) / 1000 * this.perSecond);
+    this.last   = now;
+    if (this.tokens < 1) return false;
+    this.tokens--;
+    return true;
+  }
+}
+
+module.exports = { RateLimiter };
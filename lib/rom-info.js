@@ -0,0 +1,141 @@
+/**
+ * ROM identification for every console
+ *
+ * public/js/systems.js decides which system an image belongs to; the header
+ * is then parsed for the library card. SNES images go through snes-rom.js,
+ * the others through the small header readers below.
+ *
+ * Every result has { id, sha1, crc32, system, title, region, size,
+ * checksumOk } plus system-specific fields. Ids are the SHA-1 of the image
+ * without a 512-byte copier header, like the SNES ones, so the browser's
+ * js/rom-hash.js gives the same id for every system.
+ */
+
+'use strict';
+
+const crypto  = require('crypto');
+const Systems = require('../public/js/systems');
+const { parseRom, stripCopierHeader, crc32, RomError } = require('./snes-rom');
+
+function _text (buf, start, end) {
+  return buf.subarray(start, end).toString('latin1').replace(/[^\x20-\x7E]+/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// ── NES (iNES / NES 2.0) ─────────────────────────────────────────────────────
+function parseNes (image) {
+  if (image.length < 16 || image.toString('latin1', 0, 4) !== 'NES\x1A') throw new RomError('No iNES header found.');
+  const prgSize = image[4] * 16 * 1024;
+  const chrSize = image[5] * 8 * 1024;
+  const trainer = image[6] & 0x04 ? 512 : 0;
+  if (!prgSize || image.length < 16 + trainer + prgSize) throw new RomError('NES ROM is truncated.');
+  return {
+    title:     '',
+    region:    null,
+    mapper:    (image[6] >> 4) | (image[7] & 0xF0),
+    prgSize,
+    chrSize,
+    battery:   !!(image[6] & 0x02),
+    mirroring: image[6] & 0x08 ? 'four-screen' : image[6] & 0x01 ? 'vertical' : 'horizontal',
+    nes2:      (image[7] & 0x0C) === 0x08,
+  };
+}
+
+// ── Game Boy / Color ─────────────────────────────────────────────────────────
+const GB_RAM_SIZES = [0, 2048, 8192, 32768, 131072, 65536];
+
+function parseGb (image) {
+  if (image.length < 0x8000 || image[0x104] !== 0xCE || image[0x105] !== 0xED) throw new RomError('No Game Boy header found.');
+  let check = 0;
+  for (let i = 0x134; i <= 0x14C; i++) check = (check - image[i] - 1) & 0xFF;
+  const color = !!(image[0x143] & 0x80);
+  return {
+    title:      _text(image, 0x134, color ? 0x143 : 0x144),
+    region:     image[0x14A] === 0 ? 'Japan' : 'International',
+    color,                                   // CGB features (0xC0 = Color only)
+    colorOnly:  image[0x143] === 0xC0,
+    superGb:    image[0x146] === 0x03,
+    cartType:   image[0x147],
+    romSize:    image[0x148] <= 8 ? 32768 << image[0x148] : null,
+    sramSize:   GB_RAM_SIZES[image[0x149]] || 0,
+    checksumOk: check === image[0x14D],
+  };
+}
+
+// ── Game Boy Advance ─────────────────────────────────────────────────────────
+const GBA_REGIONS = { J: 'Japan', E: 'North America', P: 'Europe', D: 'Germany', F: 'France', I: 'Italy', S: 'Spain' };
+
+function parseGba (image) {
+  if (image.length < 0xC0 || image[0xB2] !== 0x96) throw new RomError('No Game Boy Advance header found.');
+  let check = 0;
+  for (let i = 0xA0; i <= 0xBC; i++) check = (check - image[i]) & 0xFF;
+  const gameCode = _text(image, 0xAC, 0xB0);
+  return {
+    title:      _text(image, 0xA0, 0xAC),
+    region:     GBA_REGIONS[gameCode[3]] || 'Unknown',
+    gameCode,
+    maker:      _text(image, 0xB0, 0xB2),
+    version:    image[0xBC],
+    checksumOk: ((check - 0x19) & 0xFF) === image[0xBD],
+  };
+}
+
+// ── Mega Drive / Genesis ─────────────────────────────────────────────────────
+const MD_REGIONS = { J: 'Japan', U: 'North America', E: 'Europe' };
+
+function parseMd (image) {
+  if (image.length < 0x200 || !_text(image, 0x100, 0x110).startsWith('SEGA')) throw new RomError('No Mega Drive header found.');
+  let sum = 0;
+  for (let i = 0x200; i + 1 < image.length; i += 2) sum = (sum + image.readUInt16BE(i)) & 0xFFFF;
+  const regions = _text(image, 0x1F0, 0x1F3).split('').map(c => MD_REGIONS[c]).filter(Boolean);
+  return {
+    title:      _text(image, 0x150, 0x180) || _text(image, 0x120, 0x150),
+    region:     regions.length > 1 ? 'International' : regions[0] || 'Unknown',
+    serial:     _text(image, 0x180, 0x18E),
+    checksumOk: image.readUInt16BE(0x18E) === sum,
+  };
+}
+
+// ── Master System / Game Gear ────────────────────────────────────────────────
+// Many Japanese dumps have no "TMR SEGA" header at all; those are accepted on
+// their extension alone.
+const SEGA8_REGIONS = { 3: 'Japan', 4: 'International', 5: 'Japan', 6: 'International', 7: 'International' };
+
+function parseSega8 (image) {
+  if (image.length < 0x2000) throw new RomError('File is too small to be a Sega 8-bit ROM.');
+  const at = [0x7FF0, 0x3FF0, 0x1FF0].find(o => image.length >= o + 16 && image.toString('latin1', o, o + 8) === 'TMR SEGA');
+  if (at === undefined) return { title: '', region: null };
+  return {
+    title:   '',
+    region:  SEGA8_REGIONS[image[at + 15] >> 4] || 'Unknown',
+    product: (image[at + 12] | (image[at + 13] << 8) | ((image[at + 14] >> 4) << 16)).toString(16),
+    version: image[at + 14] & 0x0F,
+  };
+}
+
+const PARSERS = { nes: parseNes, gb: parseGb, gba: parseGba, segaMD: parseMd, segaMS: parseSega8, segaGG: parseSega8 };
+
+/**
+ * @param {Buffer} file      raw file contents
+ * @param {string} filename  decides the system together with the header
+ * @throws {RomError} when the image is not a ROM of any known system
+ */
+function identifyRom (file, filename) {
+  const system = Systems.detect(file, filename);
+  if (!system) throw new RomError(`Unsupported file type (${Systems.EXTENSIONS.join(', ')}).`);
+  if (system === 'snes') return { system, ...parseRom(file) };
+
+  const image = stripCopierHeader(file);
+  const info  = PARSERS[system](image);
+  const sha1  = crypto.createHash('sha1').update(image).digest('hex');
+  return {
+    id:    sha1,
+    sha1,
+    crc32: crc32(image),
+    system,
+    checksumOk: null,   // unknown unless the header has one
+    ...info,
+    size:  image.length,
+  };
+}
+
+module.exports = { identifyRom, RomError };
@@ -0,0 +1,158 @@
+/**
+ * IPS and BPS patch application
+ *
+ * IPS carries no checksums, so callers may pass the source CRC32 published
+ * alongside the patch. BPS embeds source, target and patch CRC32s and all
+ * three are verified. Callers pass the largest ROM they accept as `maxSize`,
+ * so a patch can't produce anything an upload couldn't.
+ */
+
+'use strict';
+
+const { crc32 } = require('./snes-rom');
+
+class PatchError extends Error {}
+
+function patchFormat (patch) {
+  if (patch.length >= 8 && patch.toString('latin1', 0, 5) === 'PATCH') return 'ips';
+  if (patch.length >= 19 && patch.toString('latin1', 0, 4) === 'BPS1') return 'bps';
+  return null;
+}
+
+// ─── IPS ──────────────────────────────────────────────────────────────────────
+function applyIps (source, patch, maxSize = Infinity) {
+  let out = Buffer.from(source);
+  let pos = 5;
+  const grow = size => {
+    if (size > maxSize) throw new PatchError('Patched ROM would be too large.');
+    if (size > out.length) out = Buffer.concat([out, Buffer.alloc(size - out.length)]);
+  };
+
+  for (;;) {
+    if (pos + 3 > patch.length) throw new PatchError('Truncated IPS patch.');
+    if (patch.toString('latin1', pos, pos + 3) === 'EOF') { pos += 3; break; }
+    if (pos + 5 > patch.length) throw new PatchError('Truncated IPS patch.');
+    const offset = patch.readUIntBE(pos, 3);
+    const size   = patch.readUInt16BE(pos + 3);
+    pos += 5;
+    if (size) {
+      if (pos + size > patch.length) throw new PatchError('Truncated IPS patch.');
+      grow(offset + size);
+      patch.copy(out, offset, pos, pos + size);
+      pos += size;
+    } else {
+      // RLE record: 2-byte run length, 1 byte value
+      if (pos + 3 > patch.length) throw new PatchError('Truncated IPS patch.');
+      const run = patch.readUInt16BE(pos);
+      grow(offset + run);
+      out.fill(patch[pos + 2], offset, offset + run);
+      pos += 3;
+    }
+  }
+  // Optional truncation extension
+  if (pos + 3 <= patch.length) out = out.subarray(0, patch.readUIntBE(pos, 3));
+  return out;
+}
+
+// ─── BPS ──────────────────────────────────────────────────────────────────────
+function applyBps (source, patch, maxSize = Infinity) {
+  const footer = patch.length - 12;
+  if (crc32(patch.subarray(0, patch.length - 4)) !== hex(patch.readUInt32LE(patch.length - 4))) {
+    throw new PatchError('BPS patch is corrupt (patch checksum mismatch).');
+  }
+  if (crc32(source) !== hex(patch.readUInt32LE(footer))) {
+    throw new PatchError('This patch is for a different ROM (source CRC32 mismatch).');
+  }
+
+  let pos = 4;
+  // Variable-length integers: 7 bits per byte, high bit ends the number
+  const decode = () => {
+    let data = 0, shift = 1;
+    for (;;) {
+      if (pos >= footer) throw new PatchError('Truncated BPS patch.');
+      const x = patch[pos++];
+      data += (x & 0x7F) * shift;
+      if (x & 0x80) return data;
+      shift *= 128;
+      data += shift;
+    }
+  };
+
+  const sourceSize   = decode();
+  const targetSize   = decode();
+  const metadataSize = decode();
+  pos += metadataSize;                      // skip metadata
+  if (sourceSize !== source.length) throw new PatchError('Source size does not match the patch.');
+  if (targetSize > maxSize) throw new PatchError('Patched ROM would be too large.');
+
+  const target = Buffer.alloc(targetSize);
+  let out = 0, sourceRel = 0, targetRel = 0;
+  while (pos < footer) {
+    const data   = decode();
+    const length = Math.floor(data / 4) + 1;
+    if (out + length > targetSize) throw new PatchError('BPS patch writes past the end of the ROM.');
+    switch (data & 3) {
+      case 0:                               // SourceRead
+        if (out + length > source.length) throw new PatchError('BPS patch reads past the end of the source.');
+        source.copy(target, out, out, out + length);
+        out += length;
+        break;
+      case 1:                               // TargetRead
+        if (pos + length > footer) throw new PatchError('Truncated BPS patch.');
+        patch.copy(target, out, pos, pos + length);
+        pos += length;
+        out += length;
+        break;
+      case 2: {                             // SourceCopy
+        const d = decode();
+        sourceRel += (d & 1 ? -1 : 1) * Math.floor(d / 2);
+        if (sourceRel < 0 || sourceRel + length > source.length) throw new PatchError('Corrupt BPS patch.');
+        source.copy(target, out, sourceRel, sourceRel + length);
+        sourceRel += length;
+        out += length;
+        break;
+      }
+      case 3: {                             // TargetCopy (may overlap, copy byte by byte)
+        const d = decode();
+        targetRel += (d & 1 ? -1 : 1) * Math.floor(d / 2);
+        if (targetRel < 0 || targetRel >= out) throw new PatchError('Corrupt BPS patch.');
+        for (let i = 0; i < length; i++) target[out++] = target[targetRel++];
+        break;
+      }
+    }
+  }
+
+  if (crc32(target) !== hex(patch.readUInt32LE(footer + 4))) {
+    throw new PatchError('Patched ROM failed the target CRC32 check.');
+  }
+  return target;
+}
+
+function hex (n) {
+  return n.toString(16).padStart(8, '0');
+}
+
+/**
+ * Applies an IPS or BPS patch.
+ * @param {Buffer} source
+ * @param {Buffer} patch
+ * @param {string} [sourceCrc]  expected source CRC32 (hex) for IPS patches
+ * @param {number} [maxSize]    refuse patches whose output is larger than this
+ * @returns {Buffer} patched image
+ * @throws {PatchError}
+ */
+function applyPatch (source, patch, sourceCrc, maxSize = Infinity) {
+  const format = patchFormat(patch);
+  if (!format) throw new PatchError('Not an IPS or BPS patch.');
+  if (format === 'bps') return applyBps(source, patch, maxSize);
+
+  if (sourceCrc) {
+    const wanted = String(sourceCrc).trim().toLowerCase().replace(/^0x/, '').padStart(8, '0');
+    if (crc32(source) !== wanted) {
+      throw new PatchError('This patch is for a different ROM (source CRC32 mismatch).');
+    }
+  }
+  return applyIps(source, patch, maxSize);
+}
+
+module.exports = { applyPatch, applyIps, applyBps, patchFormat, PatchError };
@@ -0,0 +1,113 @@
+/**
+ * Room stores
+ *
+ * The live rooms stay in server.js (sockets, timers); a store keeps plain JSON
+ * snapshots of them so they can be rebuilt after a restart. Every store has
+ * the same two calls:
+ *
+ *   load()           → snapshot[]   once, at boot
+ *   save(snapshots)  → void         the complete current set (synchronous)
+ *
+ * server.js debounces save() and makes a final call on shutdown.
+ *
+ *   memory  nothing survives the process (the old behaviour)
+ *   file    one JSON file, replaced atomically (write + rename)
+ *   sqlite  a `rooms` table through node:sqlite (Node 22.5+)
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+
+const STORE_VERSION = 1;
+
+class MemoryRoomStore {
+  constructor () {
+    this.snapshots = [];
+  }
+
+  load () {
+    return this.snapshots;
+  }
+
+  save (snapshots) {
+    this.snapshots = snapshots;
+  }
+}
+
+class FileRoomStore {
+  constructor (file) {
+    this.file = file;
+  }
+
+  load () {
+    if (!fs.existsSync(this.file)) return [];
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      return data.version === STORE_VERSION && Array.isArray(data.rooms) ? data.rooms : [];
+    } catch (e) {
+      console.warn(`[rooms] Ignoring unreadable ${this.file}: ${e.message}`);
+      return [];
+    }
+  }
+
+  save (snapshots) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = this.file + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify({ version: STORE_VERSION, savedAt: Date.now(), rooms: snapshots }));
+    fs.renameSync(tmp, this.file);
+  }
+}
+
+class SqliteRoomStore {
+  constructor (file) {
+    let sqlite;
+    try { sqlite = require('node:sqlite'); }
+    catch { throw new Error('ROOM_STORE=sqlite needs Node.js 22.5 or newer (node:sqlite).'); }
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    this.db = new sqlite.DatabaseSync(file);
+    this.db.exec(`CREATE TABLE IF NOT EXISTS rooms (
+      id         TEXT PRIMARY KEY,
+      data       TEXT NOT NULL,
+      updated_at INTEGER NOT NULL
+    )`);
+    this._insert = this.db.prepare('INSERT INTO rooms (id, data, updated_at) VALUES (?, ?, ?)');
+  }
+
+  load () {
+    const rooms = [];
+    for (const row of this.db.prepare('SELECT data FROM rooms').all()) {
+      try { rooms.push(JSON.parse(row.data)); } catch {}
+    }
+    return rooms;
+  }
+
+  save (snapshots) {
+    const now = Date.now();
+    this.db.exec('BEGIN');
+    try {
+      this.db.exec('DELETE FROM rooms');
+      for (const snap of snapshots) this._insert.run(snap.id, JSON.stringify(snap), now);
+      this.db.exec('COMMIT');
+    } catch (e) {
+      this.db.exec('ROLLBACK');
+      throw e;
+    }
+  }
+}
+
+/**
+ * @param {'memory'|'file'|'sqlite'} kind
+ * @param {string} dataDir  where the file / database lives
+ */
+function createRoomStore (kind, dataDir) {
+  switch (kind) {
+    case 'memory': return new MemoryRoomStore();
+    case 'file':   return new FileRoomStore(path.join(dataDir, 'rooms.json'));
+    case 'sqlite': return new SqliteRoomStore(path.join(dataDir, 'rooms.sqlite'));
+    default:       throw new Error(`Unknown ROOM_STORE "${kind}" (memory, file or sqlite).`);
+  }
+}
+
+module.exports = { createRoomStore, MemoryRoomStore, FileRoomStore, SqliteRoomStore };
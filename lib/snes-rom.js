@@ -0,0 +1,165 @@
+/**
+ * SNES ROM image parsing
+ *
+ * Finds the internal cartridge header of a .smc/.sfc dump, works out the
+ * memory map (LoROM / HiROM / ExHiROM) and fingerprints the image.
+ *
+ * Hashes are taken over the image WITHOUT the optional 512-byte copier header,
+ * matching public/js/rom-hash.js, so the same game hashes the same on the
+ * server and in the browser whichever dump format was used.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+const COPIER_HEADER = 512;
+const MIN_ROM_SIZE  = 0x8000;          // one LoROM bank
+const MIN_SCORE     = 8;               // below this no candidate looks like a header
+
+// Header location (file offset of the title) for each layout
+const LAYOUTS = [
+  { mapping: 'LoROM',   offset: 0x007FC0, modes: [0x20, 0x22, 0x23] },
+  { mapping: 'HiROM',   offset: 0x00FFC0, modes: [0x21, 0x2A] },
+  { mapping: 'ExHiROM', offset: 0x40FFC0, modes: [0x25] },
+];
+
+const REGIONS = [
+  'Japan', 'North America', 'Europe', 'Sweden', 'Finland', 'Denmark', 'France',
+  'Netherlands', 'Spain', 'Germany', 'Italy', 'China', 'Indonesia', 'South Korea',
+  'International', 'Canada', 'Brazil', 'Australia',
+];
+const NTSC_REGIONS = new Set([0, 1, 13, 15, 16]);
+
+// First opcodes commonly found at the reset vector (SEI, CLC, SEC, STZ, JMP,
+// JML, REP, SEP, LDA #, LDX #, JSR, JSL)
+const RESET_OPCODES = new Set([0x78, 0x18, 0x38, 0x9C, 0x4C, 0x5C, 0xC2, 0xE2, 0xA9, 0xA2, 0x20, 0x22]);
+
+class RomError extends Error {}
+
+function stripCopierHeader (buf) {
+  return buf.length % 1024 === COPIER_HEADER ? buf.subarray(COPIER_HEADER) : buf;
+}
+
+// ─── Checksums ────────────────────────────────────────────────────────────────
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c;
+});
+
+function crc32 (buf) {
+  let crc = -1;
+  for (let i = 0; i < buf.length; i++) crc = CRC_TABLE[(crc ^ buf[i]) & 0xFF] ^ (crc >>> 8);
+  return ((crc ^ -1) >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * The cartridge checksum is the 16-bit sum of all bytes, with the part past
+ * the largest power of two mirrored until it fills that power of two again
+ * (e.g. a 3 MB image sums as 2 MB + 2 × 1 MB).
+ */
+function cartChecksum (image) {
+  let pow = 1;
+  while (pow * 2 <= image.length) pow *= 2;
+  let sum = 0;
+  for (let i = 0; i < pow; i++) sum += image[i];
+  const rest = image.length - pow;
+  if (rest > 0) {
+    let restSum = 0;
+    for (let i = pow; i < image.length; i++) restSum += image[i];
+    sum += restSum * Math.floor(pow / rest);
+  }
+  return sum & 0xFFFF;
+}
+
+// ─── Header detection ─────────────────────────────────────────────────────────
+function readTitle (header) {
+  return Buffer.from(header.subarray(0, 21))
+    .toString('latin1')
+    .replace(/[^\x20-\x7E]/g, ' ')
+    .trim();
+}
+
+function resetOffset (layout, vector) {
+  if (layout.mapping === 'LoROM')   return vector - 0x8000;
+  if (layout.mapping === 'HiROM')   return vector;
+  return 0x400000 + vector;
+}
+
+/** Heuristic score for "a cartridge header lives at layout.offset". */
+function scoreHeader (image, layout) {
+  if (image.length < layout.offset + 0x40) return -Infinity;
+  const h = image.subarray(layout.offset, layout.offset + 0x40);
+  let score = 0;
+
+  if (layout.modes.includes(h[0x15] & ~0x10)) score += 3;     // bit 4 = FastROM
+
+  const complement = h.readUInt16LE(0x1C);
+  const checksum   = h.readUInt16LE(0x1E);
+  if ((checksum ^ complement) === 0xFFFF) score += 4;
+
+  const vector = h.readUInt16LE(0x3C);
+  if (vector < 0x8000) score -= 4;
+  else {
+    score += 2;
+    const op = image[resetOffset(layout, vector)];
+    if (RESET_OPCODES.has(op)) score += 2;
+  }
+
+  if (h[0x17] >= 0x07 && h[0x17] <= 0x0D) score += 1;          // 128 KB – 8 MB
+  if (h[0x18] <= 0x08) score += 1;                              // 0 – 256 KB
+  if (h[0x19] < REGIONS.length) score += 1;
+  // Titles are ASCII, or JIS X 0201 katakana on Japanese carts
+  if (h.subarray(0, 21).every(b => (b >= 0x20 && b <= 0x7E) || (b >= 0xA1 && b <= 0xDF))) score += 2;
+
+  return score;
+}
+
+/**
+ * Parses a ROM file.
+ * @param {Buffer} file  raw file contents (with or without copier header)
+ * @returns {object} header metadata + fingerprints; `id` is the SHA-1
+ * @throws {RomError} when the file is not a plausible SNES image
+ */
+function parseRom (file) {
+  const image = stripCopierHeader(file);
+  if (image.length < MIN_ROM_SIZE) throw new RomError('File is too small to be a SNES ROM.');
+
+  let best = null;
+  for (const layout of LAYOUTS) {
+    const score = scoreHeader(image, layout);
+    if (!best || score > best.score) best = { layout, score };
+  }
+  if (best.score < MIN_SCORE) throw new RomError('No valid SNES header found.');
+
+  const { layout } = best;
+  const h = image.subarray(layout.offset, layout.offset + 0x40);
+  const regionCode = h[0x19];
+  const checksum   = h.readUInt16LE(0x1E);
+  const sha1       = crypto.createHash('sha1').update(image).digest('hex');
+
+  return {
+    id:          sha1,
+    sha1,
+    crc32:       crc32(image),
+    title:       readTitle(h),
+    mapping:     layout.mapping,
+    fastRom:     !!(h[0x15] & 0x10),
+    mapMode:     h[0x15],
+    cartType:    h[0x16],
+    romSize:     h[0x17] <= 0x0D ? 1024 << h[0x17] : null,   // declared, bytes
+    sramSize:    h[0x18] ? 1024 << Math.min(h[0x18], 0x08) : 0,
+    region:      REGIONS[regionCode] || 'Unknown',
+    regionCode,
+    video:       NTSC_REGIONS.has(regionCode) ? 'NTSC' : 'PAL',
+    version:     h[0x1B],
+    checksum,
+    complement:  h.readUInt16LE(0x1C),
+    checksumOk:  cartChecksum(image) === checksum,
+    copierHeader: image.length !== file.length,
+    size:        image.length,
+  };
+}
+
+module.exports = { parseRom, stripCopierHeader, crc32, RomError };
@@ -0,0 +1,98 @@
+/**
+ * Minimal .zip reader
+ *
+ * Just enough of the format to pull a ROM out of the archives ROM sites hand
+ * out: reads the central directory and inflates stored / deflated entries.
+ * No ZIP64, encryption or multi-disk archives.
+ */
+
+'use strict';
+
+const zlib = require('zlib');
+const path = require('path');
+
+const EOCD_SIG    = 0x06054B50;
+const CENTRAL_SIG = 0x02014B50;
+const LOCAL_SIG   = 0x04034B50;
+
+class ZipError extends Error {}
+
+function findEndOfCentralDirectory (buf) {
+  // The EOCD record is 22 bytes plus a comment of up to 64 KB
+  const stop = Math.max(0, buf.length - 22 - 0xFFFF);
+  for (let i = buf.length - 22; i >= stop; i--) {
+    if (buf.readUInt32LE(i) === EOCD_SIG) return i;
+  }
+  throw new ZipError('Not a zip archive.');
+}
+
+/** @returns {{ name: string, method: number, compressedSize: number, size: number, localOffset: number }[]} */
+function listEntries (buf) {
+  const eocd    = findEndOfCentralDirectory(buf);
+  const count   = buf.readUInt16LE(eocd + 10);
+  let   offset  = buf.readUInt32LE(eocd + 16);
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (buf.readUInt32LE(offset) !== CENTRAL_SIG) throw new ZipError('Corrupt zip directory.');
+    const nameLen    = buf.readUInt16LE(offset + 28);
+    const extraLen   = buf.readUInt16LE(offset + 30);
+    const commentLen = buf.readUInt16LE(offset + 32);
+    entries.push({
+      name:           buf.toString('utf8', offset + 46, offset + 46 + nameLen),
+      flags:          buf.readUInt16LE(offset + 8),
+      method:         buf.readUInt16LE(offset + 10),
+      compressedSize: buf.readUInt32LE(offset + 20),
+      size:           buf.readUInt32LE(offset + 24),
+      localOffset:    buf.readUInt32LE(offset + 42),
+    });
+    offset += 46 + nameLen + extraLen + commentLen;
+  }
+  return entries;
+}
+
+function readEntry (buf, entry) {
+  if (entry.flags & 0x1) throw new ZipError('Encrypted zip entries are not supported.');
+  const at = entry.localOffset;
+  if (buf.readUInt32LE(at) !== LOCAL_SIG) throw new ZipError('Corrupt zip entry.');
+  const start = at + 30 + buf.readUInt16LE(at + 26) + buf.readUInt16LE(at + 28);
+  // subarray() clamps instead of throwing, so a short archive needs checking here
+  if (start + entry.compressedSize > buf.length) throw new ZipError('Corrupt zip entry.');
+  const data  = buf.subarray(start, start + entry.compressedSize);
+  if (entry.method === 0) {
+    // The directory's size is what extractSingle() checked against maxSize
+    if (entry.compressedSize !== entry.size) throw new ZipError('Corrupt zip entry.');
+    return Buffer.from(data);
+  }
+  if (entry.method === 8) {
+    try {
+      return zlib.inflateRawSync(data, { maxOutputLength: Math.max(1, entry.size) });
+    } catch (e) {
+      throw new ZipError(`Corrupt zip entry: ${e.message}`);
+    }
+  }
+  throw new ZipError(`Unsupported zip compression method ${entry.method}.`);
+}
+
+/**
+ * Extracts the only entry whose extension is in `extensions`.
+ * @param {number} [maxSize]  refuse entries that inflate to more than this
+ * @returns {{ name: string, data: Buffer }} name without directories
+ * @throws {ZipError} if there are zero or several matching entries
+ */
+function extractSingle (buf, extensions, maxSize = Infinity) {
+  try {
+    const matches = listEntries(buf).filter(e =>
+      !e.name.endsWith('/') && extensions.includes(path.extname(e.name).toLowerCase()));
+    if (matches.length !== 1) {
+      throw new ZipError(matches.length ? 'The zip contains more than one ROM.' : 'The zip contains no ROM.');
+    }
+    if (matches[0].size > maxSize) throw new ZipError('The ROM in the zip is too large.');
+    return { name: path.basename(matches[0].name), data: readEntry(buf, matches[0]) };
+  } catch (e) {
+    // Offsets pointing outside the buffer
+    if (e instanceof RangeError) throw new ZipError('Corrupt zip archive.');
+    throw e;
+  }
+}
+
+module.exports = { extractSingle, listEntries, ZipError };
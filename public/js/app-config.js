@@ -0,0 +1,35 @@
+/**
+ * Server-provided page configuration (GET /api/config)
+ *
+ *   emulatorjs.path  where EJS_pathtodata / loader.js come from: /emulatorjs/
+ *                    when the server has a local copy, otherwise the CDN
+ *   iceServers       RTCIceServer list; empty = host candidates only (LAN)
+ *
+ * Fetched once per page; every caller gets the same promise.
+ */
+
+'use strict';
+
+const APP_CONFIG_FALLBACK = {
+  emulatorjs: { path: 'https://cdn.emulatorjs.org/stable/data/', local: false },
+  iceServers: [],
+};
+
+const AppConfig = {
+  _promise: null,
+
+  /** @returns {Promise<{ emulatorjs: { path: string, local: boolean }, iceServers: RTCIceServer[] }>} */
+  load () {
+    if (!AppConfig._promise) {
+      AppConfig._promise = fetch('/api/config')
+        .then(r => r.ok ? r.json() : Promise.reject(new Error(`HTTP ${r.status}`)))
+        .catch(e => {
+          console.warn('[Config] /api/config unavailable, using defaults', e);
+          return APP_CONFIG_FALLBACK;
+        });
+    }
+    return AppConfig._promise;
+  },
+};
+
+if (typeof window !== 'undefined') window.AppConfig = AppConfig;
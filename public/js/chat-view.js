@@ -0,0 +1,160 @@
+/**
+ * Chat rendering
+ *
+ * Shared by index.html, viewer.html and ControllerClient so every page shows
+ * the same messages the same way. Lines are built with textContent only:
+ * names and text typed by other players never reach innerHTML.
+ *
+ * Message shapes are documented in lib/chat.js. System messages arrive as an
+ * event code plus arguments and are worded here.
+ *
+ * Chat plays rooms also show the crowd's live vote (crowd:tally, see
+ * crowdTally() in server.js) next to the chat; ChatView.tally() draws it.
+ */
+
+'use strict';
+
+const MAX_CHAT_LINES = 200;
+const MAX_TALLY_ROWS = 5;
+
+const CROWD_MODE_TEXT = { anarchy: 'Anarquia', democracy: 'Democracia' };
+
+const CHAT_SYSTEM_TEXT = {
+  join:   m => `${m.name} entrou na sala ${m.slot ? `como P${m.slot}` : 'como espectador'}`,
+  return: m => `${m.name} voltou para a sala`,
+  leave:  m => m.reason === 'kicked' ? `${m.name} foi removido da sala`
+             : m.reason === 'away'   ? `${m.name} caiu (a vaga fica reservada)`
+             : `${m.name} saiu da sala`,
+  host:   m => `${m.name} agora é o host`,
+  rom:    m => `Jogo carregado: ${m.rom}`,
+  emulator: m => `${m.name} assumiu o emulador; o jogo continua do último checkpoint`,
+  noemulator: () => 'O emulador saiu e ninguém pôde assumir o jogo',
+  turn:   m => m.from ? `${m.from} passou o controle P${m.slot} para ${m.name}`
+             : `${m.name} saiu da fila e pegou o controle P${m.slot}`,
+  clip:   m => `${m.name} salvou um clipe dos últimos segundos`,
+  shot:   m => `${m.name} tirou uma foto da tela`,
+  crowd:  m => m.mode === 'off' ? 'O chat não controla mais o jogo'
+             : `Chat joga (${CROWD_MODE_TEXT[m.mode].toLowerCase()}) no P${m.slot}: mande comandos como "up", "a" ou "right3"`,
+  veto:   m => `${m.name} vetou os comandos do chat`,
+  console: m => `Console da sala: ${typeof Systems !== 'undefined' ? Systems.get(m.system).name : m.system}`,
+  mute:   m => `${m.name} foi silenciado pelo host`,
+  unmute: m => `${m.name} pode falar no chat de novo`,
+  announce: m => `Aviso do servidor: ${m.text}`,
+  restored: () => 'O servidor reiniciou; a sala foi restaurada',
+  notice: m => m.text,   // local only, e.g. a chat:error shown in the log
+};
+
+const CHAT_ERROR_TEXT = {
+  'rate-limited':    'Calma! Você está enviando mensagens rápido demais.',
+  'muted':           'O host silenciou você nesta sala.',
+  'not-host':        'Só o host pode silenciar jogadores.',
+  'unknown-command': 'Comando desconhecido. Use /me, /mute ou /unmute.',
+  'bad-command':     'Use /mute <nome> ou /unmute <nome> (você não pode se silenciar).',
+  'crowd-blocked':   'O host bloqueou esse comando.',
+  'crowd-cooldown':  'Espere um pouco antes do próximo comando.',
+};
+
+const ChatView = {
+  /** One-line plain text, for toasts and notifications. */
+  text (msg) {
+    if (msg.type === 'system') return (CHAT_SYSTEM_TEXT[msg.event] || (() => ''))(msg);
+    if (msg.type === 'me')     return `* ${msg.from} ${msg.text}`;
+    return `${msg.from}: ${msg.text}`;
+  },
+
+  /** True when `msg` mentions the reader. */
+  mentions (msg, self) {
+    const me = String(self || '').toLowerCase();
+    return !!me && (msg.mentions || []).some(n => n.toLowerCase() === me);
+  },
+
+  /**
+   * @param {object} msg
+   * @param {{ self?: string, className?: string }} [opts]  self = reader's
+   *   name, for highlighting mentions; className is added to the line
+   * @returns {HTMLElement}
+   */
+  line (msg, { self, className } = {}) {
+    const div = document.createElement('div');
+    div.className = `chat-msg chat-${msg.type}` + (className ? ' ' + className : '');
+    if (ChatView.mentions(msg, self)) div.classList.add('chat-mention');
+    if (msg.ts) div.title = new Date(msg.ts).toLocaleTimeString();
+
+    if (msg.type === 'system') {
+      div.classList.add(`chat-${msg.event}`);
+      div.textContent = ChatView.text(msg);
+      return div;
+    }
+    const from = document.createElement('b');
+    from.textContent = msg.type === 'me' ? `* ${msg.from}` : `${msg.from}:`;
+    div.append(from, ' ', msg.text);
+    return div;
+  },
+
+  /** Appends `msg` to `log`, drops the oldest lines and keeps it scrolled. */
+  append (log, msg, opts) {
+    if (!log) return;
+    log.appendChild(ChatView.line(msg, opts));
+    while (log.childElementCount > MAX_CHAT_LINES) log.firstElementChild.remove();
+    log.scrollTop = log.scrollHeight;
+  },
+
+  /** Replaces the contents of `log` with a chat:history payload. */
+  fill (log, messages, opts) {
+    if (!log) return;
+    log.replaceChildren();
+    for (const msg of messages || []) ChatView.append(log, msg, opts);
+  },
+
+  /**
+   * Shows a crowd:tally payload in `el`: the last command (anarchy) or the
+   * vote with a countdown (democracy). Hidden while chat plays is off.
+   */
+  tally (el, t) {
+    if (!el) return;
+    clearInterval(el._countdown);
+    el.hidden = !t || !CROWD_MODE_TEXT[t.mode];
+    if (el.hidden) return;
+    const div = (className, text) => {
+      const d = document.createElement('div');
+      d.className = className;
+      if (text !== undefined) d.textContent = text;
+      return d;
+    };
+
+    const rows = [div('crowd-head', `Chat joga · ${CROWD_MODE_TEXT[t.mode]} · P${t.slot}`)];
+    if (t.last) rows.push(div('crowd-last', `${t.last.name}: ${t.last.command}`));
+    for (const v of (t.votes || []).slice(0, MAX_TALLY_ROWS)) {
+      const row = div('crowd-vote' + (t.winner && t.winner.command === v.command ? ' crowd-leader' : ''));
+      const bar = div('crowd-bar');
+      bar.style.width = `${Math.round(v.count / t.total * 100)}%`;
+      row.append(bar, div('crowd-cmd', v.command), div('crowd-count', String(v.count)));
+      rows.push(row);
+    }
+    if (t.votes) {
+      const status = div('crowd-status');
+      if (t.endsIn > 0) {
+        const deadline = Date.now() + t.endsIn;
+        const tick = () => {
+          status.textContent = `Votação termina em ${Math.max(0, Math.ceil((deadline - Date.now()) / 1000))} s`;
+        };
+        tick();
+        el._countdown = setInterval(tick, 250);
+      } else {
+        status.textContent = t.vetoed ? 'Vetado pelo host'
+          : t.winner ? `Venceu: ${t.winner.command}` : 'Ninguém votou';
+      }
+      rows.push(status);
+    } else if (!t.last) {
+      rows.push(div('crowd-status', 'Mande "up", "a" ou "right3" no chat'));
+    }
+    el.replaceChildren(...rows);
+  },
+
+  /** pt-BR text for a chat:error payload. */
+  errorText (err) {
+    return CHAT_ERROR_TEXT[err && err.code] || (err && err.message) || 'Mensagem não enviada.';
+  },
+};
+
+if (typeof window !== 'undefined') window.ChatView = ChatView;
@@ -0,0 +1,220 @@
+/**
+ * Gameplay clips and screenshots
+ *
+ * Host side: ReplayBuffer keeps the last seconds of the emulator page's
+ * stream (canvas capture plus EmulatorJS audio, the tracks WebRTC sends) so
+ * "save clip" can upload what just happened. A MediaRecorder file can't be
+ * cut at an arbitrary point (only its start carries the WebM header), so two
+ * recorders run `seconds` apart and each starts over every 2 × `seconds`: the
+ * older one always holds between `seconds` and twice that, and a clip is what
+ * it has recorded so far.
+ *
+ * Gallery side: MediaGallery lists /api/media for a room or ROM and renders
+ * screenshots and players with download links, for the lobby, the viewer and
+ * the host page. Private rooms' files need the member's resume token or the
+ * room password; their tiles then link with the key the listing hands out.
+ * Names come from other players, so tiles are built with textContent only.
+ */
+
+'use strict';
+
+const CLIP_SECONDS = 30;
+const CLIP_BITRATE = 2_500_000;
+const CLIP_TYPES   = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm', 'video/mp4'];
+
+// ─── Host side ────────────────────────────────────────────────────────────────
+class ReplayBuffer {
+  /**
+   * @param {() => MediaStream|null} getStream  called each time a recorder starts
+   * @param {{ seconds?: number }} [opts]  shortest clip length
+   */
+  constructor (getStream, { seconds = CLIP_SECONDS } = {}) {
+    this.getStream = getStream;
+    this.seconds   = seconds;
+    this.mimeType  = CLIP_TYPES.find(t => ReplayBuffer.supported && MediaRecorder.isTypeSupported(t)) || '';
+    this._takes    = [];     // { recorder, chunks, startedAt }, oldest first
+    this._timer    = null;
+  }
+
+  static get supported () { return typeof MediaRecorder !== 'undefined'; }
+
+  get running () { return this._timer !== null; }
+
+  /** @returns {boolean} false while there is no stream to record yet */
+  start () {
+    if (this.running) return true;
+    if (!this._spawn()) return false;
+    this._timer = setInterval(() => this._rotate(), this.seconds * 1000);
+    return true;
+  }
+
+  stop () {
+    clearInterval(this._timer);
+    this._timer = null;
+    for (const { recorder } of this._takes) {
+      if (recorder.state !== 'inactive') recorder.stop();
+    }
+    this._takes = [];
+  }
+
+  _spawn () {
+    const stream = this.getStream();
+    if (!stream || !stream.getVideoTracks().length) return false;
+    let recorder;
+    try {
+      recorder = new MediaRecorder(stream, { mimeType: this.mimeType || undefined, videoBitsPerSecond: CLIP_BITRATE });
+    } catch (e) {
+      console.warn('[Clips] MediaRecorder failed', e);
+      return false;
+    }
+    const take = { recorder, chunks: [], startedAt: performance.now() };
+    recorder.ondataavailable = e => { if (e.data.size) take.chunks.push(e.data); };
+    recorder.start();
+    this._takes.push(take);
+    return true;
+  }
+
+  _rotate () {
+    if (this._takes.length >= 2) {
+      const { recorder } = this._takes.shift();
+      if (recorder.state !== 'inactive') recorder.stop();
+    }
+    this._spawn();
+  }
+
+  /**
+   * The older recording up to now; it keeps running.
+   * @returns {Promise<{ blob: Blob, duration: number }|null>} null when not recording
+   */
+  save () {
+    const take = this._takes[0];
+    if (!take || take.recorder.state !== 'recording') return Promise.resolve(null);
+    return new Promise(resolve => {
+      // Runs after ondataavailable, which was set first
+      take.recorder.addEventListener('dataavailable', () => resolve({
+        blob:     new Blob(take.chunks, { type: take.recorder.mimeType || 'video/webm' }),
+        duration: Math.round(performance.now() - take.startedAt),
+      }), { once: true });
+      take.recorder.requestData();
+    });
+  }
+}
+
+/**
+ * Stores a clip or screenshot on the server.
+ * @param {Blob} blob  WebM / MP4 video or a PNG
+ * @param {{ roomId: string, romHash: string, romName?: string, system?: string,
+ *           savedBy?: string, duration?: number }} meta
+ * @returns {Promise<object>} the stored metadata (see server.js, writeMedia)
+ */
+async function uploadMedia (blob, meta) {
+  const form = new FormData();
+  for (const [key, value] of Object.entries(meta)) {
+    if (value !== undefined && value !== null) form.append(key, String(value));
+  }
+  form.append('media', blob, blob.type === 'image/png' ? 'shot.png' : 'clip');
+  const res  = await fetch('/api/media', { method: 'POST', body: form });
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(body.error || res.statusText);
+  return body;
+}
+
+// ─── Gallery ──────────────────────────────────────────────────────────────────
+function _el (tag, className, text) {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  if (text !== undefined) el.textContent = text;
+  return el;
+}
+
+function _icon (name) {
+  return _el('span', 'material-icons', name);
+}
+
+const MediaGallery = {
+  /**
+   * @param {{ roomId?: string, romHash?: string, kind?: 'clip'|'shot' }} [filter]
+   * @param {object} [headers]  X-Room-Token or X-Room-Password for a private room
+   * @returns {Promise<object[]>} newest first; refusals throw with the server's
+   *   code ('members-only', 'password-required', 'bad-password')
+   */
+  async load (filter = {}, headers = {}) {
+    const query = new URLSearchParams(Object.entries(filter).filter(([, v]) => v));
+    const res   = await fetch('/api/media?' + query, { headers });
+    const body  = await res.json().catch(() => ({}));
+    if (!res.ok) throw Object.assign(new Error(body.error || res.statusText), { code: body.code });
+    return body;
+  },
+
+  /** "0:42" for a clip's duration in ms. */
+  duration (ms) {
+    const s = Math.round(ms / 1000);
+    return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+  },
+
+  /**
+   * Replaces the contents of `el` with one tile per item.
+   * @param {{ canDelete?: boolean, showRoom?: boolean, empty?: string }} [opts]
+   *   canDelete adds a button with data-action="delete" inside the tile
+   *   (tile data-id = media id); showRoom names the room on every tile
+   */
+  render (el, items, { canDelete = false, showRoom = false, empty = 'Nenhum clipe ou foto ainda.' } = {}) {
+    if (!el) return;
+    if (!items.length) {
+      el.replaceChildren(_el('div', 'media-empty', empty));
+      return;
+    }
+    el.replaceChildren(...items.map(m => {
+      const url  = `/api/media/${m.id}`;
+      const key  = m.key ? `?key=${m.key}` : '';
+      const tile = _el('div', `media-tile media-${m.kind}`);
+      tile.dataset.id = m.id;
+
+      let preview;
+      if (m.kind === 'clip') {
+        preview = _el('video');
+        preview.controls = true;
+        preview.preload  = 'metadata';
+        preview.playsInline = true;
+      } else {
+        preview = _el('img');
+        preview.loading = 'lazy';
+        preview.alt     = '';
+      }
+      preview.src = url + key;
+
+      const info = _el('div', 'media-info');
+      info.append(_el('b', '', m.romName || 'Jogo sem nome'));
+      const when = new Date(m.savedAt).toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' });
+      info.append(_el('span', '', [
+        m.savedBy, when,
+        m.duration ? MediaGallery.duration(m.duration) : '',
+        showRoom ? `sala ${m.roomId}` : '',
+      ].filter(Boolean).join(' · ')));
+
+      const actions  = _el('div', 'media-actions');
+      const download = _el('a', 'media-action');
+      download.href  = `${url}/download${key}`;
+      download.title = 'Baixar';
+      download.setAttribute('download', '');
+      download.append(_icon('download'));
+      actions.append(download);
+      if (canDelete) {
+        const del = _el('button', 'media-action');
+        del.dataset.action = 'delete';
+        del.title = 'Excluir';
+        del.append(_icon('delete'));
+        actions.append(del);
+      }
+
+      tile.append(preview, info, actions);
+      return tile;
+    }));
+  },
+};
+
+if (typeof window !== 'undefined') {
+  window.ReplayBuffer = ReplayBuffer;
+  window.MediaGallery = MediaGallery;
+  window.uploadMedia  = uploadMedia;
+}
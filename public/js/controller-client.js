@@ -2,12 +2,17 @@
  * Controller Client
  * Runs on the controller.html page.
  * Handles virtual button presses and sends them via Socket.IO.
+ * Turbo and macros come from js/input-assist.js, the saved touch layout from
+ * js/pad-layout.js, mouse / light gun support from js/peripherals.js, the
+ * console's buttons from js/systems.js and chat rendering from
+ * js/chat-view.js; all must be loaded first.
  */
 
 'use strict';
 
 // ── Button bit positions ────────────────────────────────────────────────
-// Bits 0–11 match EmulatorJS simulateInput() button indices for SNES:
+// RetroPad positions; bits 0–11 match EmulatorJS simulateInput() button
+// indices for every core (see js/systems.js):
 //   0=B  1=Y  2=SEL  3=START  4=UP  5=DOWN  6=LEFT  7=RIGHT  8=A  9=X  10=L  11=R
 const BTN_MAP = {
   B:      1 << 0,
@@ -29,10 +34,17 @@ class ControllerClient {
     this.socket    = null;
     this.roomId    = '';
     this.name      = '';
+    this.chatName  = '';     // our name as the server has it, for chat mentions
     this.slot      = null;
-    this.buttons   = 0;      // current bitmask
+    this.buttons   = 0;      // current bitmask (held buttons)
+    this.system    = Systems.get();   // the host's console, from room:joined
+    this.romHash   = null;   // ROM loaded by the host, macros are kept per ROM
+    this.assist    = new InputAssist(() => {});   // the send loop polls output()
+    this.device    = 'joypad';   // what our slot drives (room settings → ports)
+    this.axes      = { x: 0, y: 0 };   // mouse counts since last send, or aim point
     this._tickId   = null;
     this._lastSent = 0;
+    this._seq      = 0;      // joypad:input sequence number
     this._SEND_HZ  = 60;     // send at up to 60 Hz
   }
 
@@ -44,12 +56,21 @@ class ControllerClient {
 
     this.socket.on('connect', () => {
       console.log('[Controller] Connected');
-      this.socket.emit('room:join', { roomId, playerName: name, role: 'controller' });
+      this.socket.emit('room:join', {
+        roomId,
+        playerName:  name,
+        role:        'controller',
+        // Reclaims our slot if the server is still holding it after a drop
+        resumeToken: sessionStorage.getItem('snes_resume:' + roomId) || undefined,
+      });
       this._startSendLoop();
     });
 
-    this.socket.on('room:joined', ({ slot, isHost, roomId }) => {
+    this.socket.on('room:joined', ({ slot, isHost, roomId, resumeToken, system, info }) => {
       this.slot = slot;
+      this._applySystem(system);
+      this._applyRoomInfo(info);
+      if (resumeToken) sessionStorage.setItem('snes_resume:' + roomId, resumeToken);
       const slotColors = ['','#e94560','#0f9460','#c8a000','#7b44d4'];
       const color = slotColors[slot] || '#888';
       document.getElementById('status').innerHTML =
@@ -65,16 +86,19 @@ class ControllerClient {
     });
 
     this.socket.on('room:updated', (info) => {
+      this._applyRoomInfo(info);
       const count = info.players.length;
-      document.getElementById('player-count').textContent = `${count} / 4 players`;
+      document.getElementById('player-count').textContent = `${count} / ${this.system.players} players`;
     });
 
-    this.socket.on('chat:msg', ({ from, text }) => {
-      const box = document.getElementById('chat-log');
-      if (box) {
-        box.innerHTML += `<div><b>${from}:</b> ${text}</div>`;
-        box.scrollTop = box.scrollHeight;
-      }
+    this.socket.on('chat:msg', msg => {
+      ChatView.append(document.getElementById('chat-log'), msg, { self: this.chatName });
+    });
+    this.socket.on('chat:history', ({ messages }) => {
+      ChatView.fill(document.getElementById('chat-log'), messages, { self: this.chatName });
+    });
+    this.socket.on('chat:error', err => {
+      ChatView.append(document.getElementById('chat-log'), { type: 'system', event: 'notice', text: ChatView.errorText(err) });
     });
 
     this.socket.on('disconnect', () => {
@@ -86,23 +110,87 @@ class ControllerClient {
 
   // ── Button press/release ──────────────────────────────────────────────────────
   press (btnName) {
-    const bit = BTN_MAP[btnName];
-    if (bit) this.buttons |= bit;
+    const bit = BTN_MAP[btnName] & this.system.mask;
+    if (bit) this.assist.setHeld(this.buttons |= bit);
   }
 
   release (btnName) {
     const bit = BTN_MAP[btnName];
-    if (bit) this.buttons &= ~bit;
+    if (bit) this.assist.setHeld(this.buttons &= ~bit);
+  }
+
+  // ── Console ───────────────────────────────────────────────────────────────────
+  /**
+   * Shows only the buttons the console has, under its own names, and tags
+   * the page with the system's touch layout (body[data-pad]).
+   * @param {object|string} system  a js/systems.js entry or its id
+   */
+  _applySystem (system) {
+    this.system = typeof system === 'object' && system ? system : Systems.get(system);
+    document.body.dataset.system = this.system.id;
+    document.body.dataset.pad    = this.system.pad;
+    document.querySelectorAll('[data-btn]').forEach(el => {
+      const btn = el.dataset.btn;
+      el.hidden = !this.system.buttons.includes(btn);
+      if (!BTN_MAP[btn] || ['UP', 'DOWN', 'LEFT', 'RIGHT'].includes(btn)) return;
+      el.textContent = Systems.label(this.system.id, btn);
+    });
+    this.assist.setHeld(this.buttons &= this.system.mask);
+  }
+
+  // ── Turbo & macros ────────────────────────────────────────────────────────────
+  _applyRoomInfo (info) {
+    if (!info) return;
+    if (info.system && info.system !== this.system.id) this._applySystem(info.system);
+    const me = (info.players || []).find(p => p.id === this.socket.id);
+    this.chatName = me ? me.name : this.name;
+    // Mouse / light gun ports only exist on consoles with peripherals
+    if (info.settings) this.device = this.system.peripherals ? slotDevice(info.settings.ports, this.slot) : 'joypad';
+    this.assist.setEnabled(!info.settings || info.settings.assists !== false);
+    if ((info.romHash || null) !== this.romHash) {
+      this.assist.stopMacro();
+      this.romHash = info.romHash || null;
+    }
+  }
+
+  /** @param {string[]} btnNames  buttons that auto-fire while held */
+  setTurbo (btnNames, rate) {
+    this.assist.setTurbo(InputAssist.namesMask(btnNames), rate);
+    InputAssist.saveTurbo({ buttons: btnNames, rate: this.assist.turboRate });
+  }
+
+  loadMacros () { return InputAssist.loadMacros(this.romHash); }
+  saveMacros (macros) { InputAssist.saveMacros(this.romHash, macros); }
+
+  startMacroRecording () { return this.assist.startRecording(); }
+  /** @returns {number[]} recorded bitmask frames */
+  stopMacroRecording () { return this.assist.stopRecording(); }
+  playMacro (frames, onEnd) { return this.assist.playMacro(frames, onEnd); }
+
+  // ── SNES Mouse / light gun (see js/peripherals.js) ─────────────────────────────
+  /** Relative movement in mouse counts; B / A are the mouse buttons. */
+  moveMouse (dx, dy) {
+    this.axes.x += dx;
+    this.axes.y += dy;
+  }
+
+  /** Light gun aim, 0–1 across the game picture; B is the trigger. */
+  aim (x, y) {
+    this.axes = { x, y };
   }
 
   // ── Send loop (throttled) ─────────────────────────────────────────────────────
   _startSendLoop () {
-    setInterval(() => {
+    clearInterval(this._tickId);   // 'connect' fires again on every reconnect
+    this._tickId = setInterval(() => {
       if (!this.socket || !this.socket.connected) return;
+      const axes = this.axes;
+      if (PERIPHERALS[this.device]?.pointer === 'relative') this.axes = { x: 0, y: 0 };
       this.socket.emit('joypad:input', {
-        buttons: this.buttons >>> 0,
-        roomId:  this.roomId,   // fallback if socket.data is stale
-        slot:    this.slot,
+        buttons: this.assist.output(),
+        axes,
+        seq:     ++this._seq,
+        t:       Date.now(),        // send time, for the host's netplay stats
       });
     }, Math.floor(1000 / this._SEND_HZ));
   }
@@ -124,7 +212,8 @@ class ControllerClient {
           if (pad.axes[1] > 0.5)  state |= BTN_MAP.DOWN;
           if (pad.axes[1] < -0.5) state |= BTN_MAP.UP;
         }
-        this.buttons = state;
+        state &= this.system.mask;
+        if (state !== this.buttons) this.assist.setHeld(this.buttons = state);
       }
       requestAnimationFrame(poll);
     };
@@ -135,12 +224,26 @@ class ControllerClient {
   sendChat (text) {
     if (this.socket) this.socket.emit('chat:msg', { text });
   }
+
+  // ── Clips and screenshots ─────────────────────────────────────────────────────
+  /**
+   * Asks the emulator page to save a clip of the last seconds ('clip') or a
+   * screenshot ('shot').
+   * @returns {Promise<object>} the stored metadata, or { error }
+   */
+  capture (kind) {
+    if (!this.socket) return Promise.resolve({ error: 'Not connected.' });
+    return this.socket.emitWithAck('media:capture', { kind });
+  }
 }
 
 // Touch / mouse helpers bound to buttons in controller.html
 function bindControllerButtons (client) {
+  // The same layout ids as viewer.html, so exported layouts work on both
+  const layout = PadLayout.current(PadLayout.load());
   document.querySelectorAll('[data-btn]').forEach(el => {
     const btn = el.dataset.btn;
+    if (!el.dataset.layout) el.dataset.layout = btn;
 
     // Touch
     el.addEventListener('touchstart', e => { e.preventDefault(); client.press(btn); }, { passive: false });
@@ -155,6 +258,8 @@ function bindControllerButtons (client) {
 
   // D-pad touch drag
   const dpad = document.getElementById('dpad');
+  if (dpad && !dpad.dataset.layout) dpad.dataset.layout = 'DPAD';
+  PadLayout.apply(layout);
   if (dpad) {
     const DIRS = ['UP','DOWN','LEFT','RIGHT'];
     dpad.addEventListener('touchmove', e => {
@@ -165,14 +270,9 @@ function bindControllerButtons (client) {
       const cy    = rect.top  + rect.height / 2;
       const dx    = touch.clientX - cx;
       const dy    = touch.clientY - cy;
+      const dist  = Math.hypot(dx, dy);
       DIRS.forEach(d => client.release(d));
-      if (Math.abs(dx) > 10 || Math.abs(dy) > 10) {
-        if (Math.abs(dx) > Math.abs(dy)) {
-          client.press(dx > 0 ? 'RIGHT' : 'LEFT');
-        } else {
-          client.press(dy > 0 ? 'DOWN' : 'UP');
-        }
-      }
+      if (dist > 10) PadLayout.directions(dx / dist, dy / dist, layout.diagonals).forEach(d => client.press(d));
     }, { passive: false });
     dpad.addEventListener('touchend', e => {
       e.preventDefault();
@@ -0,0 +1,209 @@
+/**
+ * Input assists: turbo buttons and macros
+ *
+ * Shared by viewer.html and ControllerClient. The page keeps reporting the
+ * buttons the player is physically holding (setHeld); InputAssist works out
+ * the bitmask to actually send, which differs from the held one while a turbo
+ * button is held (the bit blinks at turboRate) or a macro plays (its frames
+ * are OR'ed over the held buttons).
+ *
+ * Everything runs on a 60 Hz frame clock that only ticks while there is work
+ * to do. Macros are plain bitmask-per-frame sequences, so they reach the host
+ * through the normal joypad:input path like any other input.
+ */
+
+'use strict';
+
+const ASSIST_FPS        = 60;
+const MAX_MACRO_FRAMES  = 10 * ASSIST_FPS;    // 10 s per macro
+const MAX_MACROS        = 12;
+const TURBO_RATES       = [6, 10, 15, 20, 30];  // presses per second
+
+// Bit order of the joypad:input bitmask
+const ASSIST_BUTTONS = ['B','Y','SELECT','START','UP','DOWN','LEFT','RIGHT','A','X','L','R'];
+
+class InputAssist {
+  /**
+   * @param {(buttons: number) => void} onChange  called whenever the output
+   *   bitmask changes because of a turbo blink or a macro frame
+   */
+  constructor (onChange) {
+    this.onChange   = onChange;
+    this.enabled    = true;     // false when the host disables assists
+    this.held       = 0;
+    this.turboMask  = 0;
+    this.turboRate  = 15;
+    this._frame     = 0;
+    this._timer     = null;
+    this._playing   = null;     // { frames, pos, onEnd }
+    this._recording = null;     // frames captured so far
+    this._last      = 0;
+  }
+
+  // ── Output ───────────────────────────────────────────────────────────────────
+  /** Bitmask to send right now. */
+  output () {
+    let out = this.held;
+    if (this.enabled && (out & this.turboMask)) {
+      // Turbo bits are released for the second half of every period
+      const phase = Math.floor(this._frame * this.turboRate * 2 / ASSIST_FPS) % 2;
+      if (phase) out &= ~this.turboMask;
+    }
+    if (this._playing) out |= this._playing.frames[this._playing.pos] || 0;
+    return out >>> 0;
+  }
+
+  setHeld (buttons) {
+    buttons >>>= 0;
+    if (buttons & ~this.held & this.turboMask) this._frame = 0;   // a fresh turbo press starts pressed
+    this.held = buttons;
+    this._last = this.output();
+    this._updateTimer();
+  }
+
+  setTurbo (mask, rate) {
+    this.turboMask = mask >>> 0;
+    if (TURBO_RATES.includes(rate)) this.turboRate = rate;
+    this._updateTimer();
+  }
+
+  setEnabled (enabled) {
+    this.enabled = !!enabled;
+    if (!this.enabled) { this.stopMacro(); this.stopRecording(); }
+    this._updateTimer();
+    this._emitIfChanged();
+  }
+
+  // ── Macros ───────────────────────────────────────────────────────────────────
+  get recording () { return this._recording !== null; }
+  get playing ()   { return this._playing !== null; }
+
+  startRecording () {
+    if (!this.enabled) return false;
+    this.stopMacro();
+    this._recording = [];
+    this._updateTimer();
+    return true;
+  }
+
+  /** @returns {number[]} recorded frames, idle frames at both ends trimmed */
+  stopRecording () {
+    const frames = this._recording || [];
+    this._recording = null;
+    this._updateTimer();
+    let start = 0, end = frames.length;
+    while (start < end && !frames[start])  start++;
+    while (end > start && !frames[end - 1]) end--;
+    return frames.slice(start, end);
+  }
+
+  playMacro (frames, onEnd) {
+    if (!this.enabled || this._recording || !frames.length) return false;
+    this._playing = { frames, pos: 0, onEnd };
+    this._updateTimer();
+    this._emitIfChanged();
+    return true;
+  }
+
+  stopMacro () {
+    if (!this._playing) return;
+    const { onEnd } = this._playing;
+    this._playing = null;
+    this._updateTimer();
+    this._emitIfChanged();
+    if (onEnd) onEnd();
+  }
+
+  // ── Frame clock ──────────────────────────────────────────────────────────────
+  _updateTimer () {
+    const busy = this._playing || this._recording ||
+                 (this.enabled && (this.held & this.turboMask));
+    if (busy && this._timer === null) {
+      this._timer = setInterval(() => this._tick(), 1000 / ASSIST_FPS);
+    } else if (!busy && this._timer !== null) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+  }
+
+  _tick () {
+    this._frame++;
+    if (this._recording && this._recording.length < MAX_MACRO_FRAMES) this._recording.push(this.held);
+    if (this._playing && ++this._playing.pos >= this._playing.frames.length) {
+      this.stopMacro();
+      return;
+    }
+    this._emitIfChanged();
+  }
+
+  _emitIfChanged () {
+    const out = this.output();
+    if (out === this._last) return;
+    this._last = out;
+    this.onChange(out);
+  }
+
+  // ── Persistence (localStorage, per player) ──────────────────────────────────
+  /** @returns {string[]} button names */
+  static maskNames (mask) {
+    return ASSIST_BUTTONS.filter((_, bit) => mask & (1 << bit));
+  }
+
+  static namesMask (names) {
+    return (names || []).reduce((m, n) => {
+      const bit = ASSIST_BUTTONS.indexOf(n);
+      return bit < 0 ? m : m | (1 << bit);
+    }, 0);
+  }
+
+  /** @returns {{ buttons: string[], rate: number }} */
+  static loadTurbo () {
+    try {
+      const cfg = JSON.parse(localStorage.getItem('snes_turbo') || '{}');
+      return {
+        buttons: Array.isArray(cfg.buttons) ? cfg.buttons : [],
+        rate:    TURBO_RATES.includes(cfg.rate) ? cfg.rate : 15,
+      };
+    } catch { return { buttons: [], rate: 15 }; }
+  }
+
+  static saveTurbo (cfg) {
+    localStorage.setItem('snes_turbo', JSON.stringify(cfg));
+  }
+
+  /**
+   * Macros are stored per ROM as run-length pairs to keep localStorage small.
+   * @returns {{ name: string, key: string|null, frames: number[] }[]}
+   */
+  static loadMacros (romHash) {
+    if (!romHash) return [];
+    try {
+      const list = JSON.parse(localStorage.getItem('snes_macros:' + romHash) || '[]');
+      return list.slice(0, MAX_MACROS).map(m => ({
+        name:   String(m.name || 'Macro'),
+        key:    m.key || null,
+        frames: m.runs.flatMap(([mask, n]) => new Array(Math.min(n, MAX_MACRO_FRAMES)).fill(mask & 0xFFF)).slice(0, MAX_MACRO_FRAMES),
+      }));
+    } catch { return []; }
+  }
+
+  static saveMacros (romHash, macros) {
+    if (!romHash) return;
+    const list = macros.slice(0, MAX_MACROS).map(m => {
+      const runs = [];
+      for (const mask of m.frames) {
+        const last = runs[runs.length - 1];
+        if (last && last[0] === mask) last[1]++;
+        else runs.push([mask, 1]);
+      }
+      return { name: m.name, key: m.key, runs };
+    });
+    if (list.length) localStorage.setItem('snes_macros:' + romHash, JSON.stringify(list));
+    else             localStorage.removeItem('snes_macros:' + romHash);
+  }
+}
+
+InputAssist.TURBO_RATES = TURBO_RATES;
+InputAssist.MAX_MACROS  = MAX_MACROS;
+
+if (typeof window !== 'undefined') window.InputAssist = InputAssist;
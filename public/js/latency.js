@@ -0,0 +1,285 @@
+/**
+ * Press-to-photon latency
+ *
+ * Every joypad:input carries a sequence number. The host page (FrameStamper)
+ * opens a "frames" data channel next to the video on each viewer's
+ * RTCPeerConnection and, on the first frame it renders after applying a
+ * remote input, sends that frame's id with an ack for the input:
+ *
+ *   { f: frame, a: [[socketId, seq, waitMs], …], e?: encodeMs }
+ *
+ * waitMs is how long the input sat on the host (netplay queue + the wait for
+ * the next frame); e is the video encoder's average time per frame, sent
+ * about once a second. Frames with nothing to say are not sent. Acks go by
+ * the sender's socket id: people sharing a slot each count their own seq.
+ *
+ * The viewer (LatencyMeter) remembers when it sent each seq. The frame
+ * message travels with the video over the same connection, so the frame
+ * reaches the screen roughly when its message arrives plus the encode time
+ * and the viewer's own receive → display delay (measured per video frame
+ * with requestVideoFrameCallback, or from getStats where that isn't
+ * available):
+ *
+ *   total   = (ack arrival − press) + encode + display
+ *   network = (ack arrival − press) − waitMs
+ *   host    = waitMs
+ *   video   = encode + display
+ */
+
+'use strict';
+
+const LATENCY_MAX_PENDING = 256;     // unacked inputs remembered by the viewer
+const LATENCY_MAX_SAMPLES = 2000;    // kept for the session report
+const LATENCY_WINDOW      = 120;     // recent samples behind the HUD numbers
+const ENCODE_STATS_MS     = 1000;
+
+// ─── Host side ────────────────────────────────────────────────────────────────
+class FrameStamper {
+  constructor () {
+    this.frame    = 0;
+    this.peers    = new Map();   // viewerSocketId → { pc, channel, encode: { ms, time, frames } }
+    this._acks    = new Map();   // senderSocketId → { seq, at } applied since the last frame
+    this._encode  = null;        // ms, averaged over every peer
+    this._statsAt = 0;
+    this._rafId   = null;
+  }
+
+  /** Opens the frames channel; call before createOffer(). */
+  addPeer (id, pc) {
+    const channel = pc.createDataChannel('frames', { ordered: false, maxRetransmits: 0 });
+    this.peers.set(id, { pc, channel, encode: { ms: null, time: 0, frames: 0 } });
+    if (this._rafId === null) this._rafId = requestAnimationFrame(() => this._tick());
+  }
+
+  removePeer (id) {
+    this.peers.delete(id);
+    if (!this.peers.size && this._rafId !== null) {
+      cancelAnimationFrame(this._rafId);
+      this._rafId = null;
+    }
+  }
+
+  /**
+   * A remote input from socket `from` was handed to the emulator; `at` = when
+   * it arrived (performance.now()).
+   */
+  applied (from, seq, at) {
+    if (from && Number.isInteger(seq)) this._acks.set(from, { seq, at });
+  }
+
+  _tick () {
+    this._rafId = requestAnimationFrame(() => this._tick());
+    const now = performance.now();
+    this.frame++;
+    const msg = { f: this.frame };
+    if (this._acks.size) {
+      msg.a = [...this._acks].map(([from, { seq, at }]) => [from, seq, Math.round(now - at)]);
+      this._acks.clear();
+    }
+    if (now - this._statsAt >= ENCODE_STATS_MS) {
+      this._statsAt = now;
+      this._sampleEncode();
+      if (this._encode !== null) msg.e = Math.round(this._encode * 10) / 10;
+    }
+    if (!msg.a && msg.e === undefined) return;
+    const text = JSON.stringify(msg);
+    for (const { channel } of this.peers.values()) {
+      if (channel.readyState === 'open' && channel.bufferedAmount < 64 * 1024) {
+        try { channel.send(text); } catch (_) {}
+      }
+    }
+  }
+
+  // Encoder time per frame, from each sender's outbound-rtp stats
+  _sampleEncode () {
+    const all = [...this.peers.values()];
+    Promise.all(all.map(peer => peer.pc.getStats().then(stats => {
+      stats.forEach(r => {
+        if (r.type !== 'outbound-rtp' || r.kind !== 'video' || !r.framesEncoded) return;
+        const { encode } = peer;
+        const frames = r.framesEncoded - encode.frames;
+        if (frames > 0 && encode.frames) encode.ms = (r.totalEncodeTime - encode.time) * 1000 / frames;
+        encode.time   = r.totalEncodeTime;
+        encode.frames = r.framesEncoded;
+      });
+    }).catch(() => {}))).then(() => {
+      const known = all.map(p => p.encode.ms).filter(ms => ms !== null);
+      if (known.length) this._encode = known.reduce((a, b) => a + b, 0) / known.length;
+    });
+  }
+}
+
+// ─── Viewer side ──────────────────────────────────────────────────────────────
+function _percentile (sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+function _describe (values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const avg = sorted.length ? sorted.reduce((a, b) => a + b, 0) / sorted.length : null;
+  return {
+    avg: avg === null ? null : Math.round(avg),
+    p50: _percentile(sorted, 0.5),
+    p95: _percentile(sorted, 0.95),
+    max: sorted.length ? sorted[sorted.length - 1] : null,
+  };
+}
+
+class LatencyMeter {
+  constructor () {
+    this.slot      = null;
+    this.sender    = null;          // our socket id, to pick our acks out of the frame messages
+    this.samples   = [];          // { at, frame, seq, total, network, host, video }, oldest first
+    this.encodeMs  = 0;
+    this.displayMs = null;        // receive → display, smoothed
+    this.started   = Date.now();
+    this._pending  = new Map();   // seq → performance.now() when sent
+    this._video    = null;
+    this._rvfcWorks = false;      // requestVideoFrameCallback gives receiveTime
+    this._stats    = { delay: 0, emitted: 0, decode: 0, decoded: 0 };
+  }
+
+  /** Call for every joypad:input sent. */
+  sent (seq, at = performance.now()) {
+    this._pending.set(seq, at);
+    if (this._pending.size > LATENCY_MAX_PENDING) this._pending.delete(this._pending.keys().next().value);
+  }
+
+  /** The viewer's slot; inputs sent from an earlier seat are not measured. */
+  setSlot (slot) {
+    if (slot !== this.slot) this._pending.clear();
+    this.slot = slot;
+  }
+
+  /** The viewer's socket id, which the host's acks go by (see FrameStamper). */
+  setSender (id) {
+    if (id !== this.sender) this._pending.clear();
+    this.sender = id;
+  }
+
+  /** Hooks the host's frames data channel (RTCPeerConnection.ondatachannel). */
+  attachChannel (channel) {
+    if (channel.label !== 'frames') return;
+    channel.onmessage = e => {
+      try { this._onFrame(JSON.parse(e.data), performance.now()); } catch (_) {}
+    };
+  }
+
+  /** Measures receive → display for every frame painted by `video`. */
+  attachVideo (video) {
+    this._video = video;
+    if (!video.requestVideoFrameCallback) return;
+    const onFrame = (_, meta) => {
+      if (this._video !== video) return;
+      if (meta.receiveTime && meta.expectedDisplayTime) {
+        this._smoothDisplay(meta.expectedDisplayTime - meta.receiveTime);
+      }
+      video.requestVideoFrameCallback(onFrame);
+    };
+    video.requestVideoFrameCallback(onFrame);
+  }
+
+  /**
+   * Fallback for browsers without receiveTime in requestVideoFrameCallback:
+   * jitter buffer + decode time per frame, from the inbound video stats.
+   */
+  async sampleStats (pc) {
+    if (!pc || this._rvfcWorks) return;
+    const stats = await pc.getStats().catch(() => null);
+    if (!stats) return;
+    stats.forEach(r => {
+      if (r.type !== 'inbound-rtp' || r.kind !== 'video' || !r.jitterBufferEmittedCount) return;
+      const s = this._stats;
+      const emitted = r.jitterBufferEmittedCount - s.emitted;
+      const decoded = (r.framesDecoded || 0) - s.decoded;
+      if (s.emitted && emitted > 0) {
+        const buffer = (r.jitterBufferDelay - s.delay) * 1000 / emitted;
+        const decode = decoded > 0 ? ((r.totalDecodeTime || 0) - s.decode) * 1000 / decoded : 0;
+        this.displayMs = this.displayMs === null ? buffer + decode : this.displayMs + (buffer + decode - this.displayMs) * 0.3;
+      }
+      Object.assign(s, { delay: r.jitterBufferDelay, emitted: r.jitterBufferEmittedCount, decode: r.totalDecodeTime || 0, decoded: r.framesDecoded || 0 });
+    });
+  }
+
+  _smoothDisplay (ms) {
+    if (!(ms >= 0 && ms < 5000)) return;
+    this._rvfcWorks = true;
+    this.displayMs = this.displayMs === null ? ms : this.displayMs + (ms - this.displayMs) * 0.05;
+  }
+
+  _onFrame ({ f, a, e }, now) {
+    if (typeof e === 'number') this.encodeMs = e;
+    for (const [from, seq, wait] of a || []) {
+      if (from !== this.sender) continue;
+      // Everything up to seq went out in the same frame or an earlier one;
+      // only the newest press is measured, older ones are just forgotten.
+      const sentAt = this._pending.get(seq);
+      for (const s of [...this._pending.keys()]) if (s <= seq) this._pending.delete(s);
+      if (sentAt === undefined) continue;
+      const ack   = now - sentAt;
+      const video = this.encodeMs + (this.displayMs || 0);
+      this.samples.push({
+        at:      Date.now(),
+        frame:   f,
+        seq,
+        total:   Math.round(ack + video),
+        network: Math.max(0, Math.round(ack - wait)),
+        host:    wait,
+        video:   Math.round(video),
+      });
+      if (this.samples.length > LATENCY_MAX_SAMPLES) this.samples.shift();
+    }
+  }
+
+  /** Averages over the recent samples, or null before the first one. */
+  current () {
+    const recent = this.samples.slice(-LATENCY_WINDOW);
+    if (!recent.length) return null;
+    const avg = key => Math.round(recent.reduce((n, s) => n + s[key], 0) / recent.length);
+    return {
+      samples: recent.length,
+      total:   avg('total'),
+      network: avg('network'),
+      host:    avg('host'),
+      video:   avg('video'),
+      p95:     _describe(recent.map(s => s.total)).p95,
+    };
+  }
+
+  /** Whole-session summary plus every kept sample. */
+  report (meta = {}) {
+    const pick = key => _describe(this.samples.map(s => s[key]));
+    return {
+      kind:      'snes-latency-report',
+      version:   1,
+      ...meta,
+      started:   new Date(this.started).toISOString(),
+      generated: new Date().toISOString(),
+      summary:   {
+        samples: this.samples.length,
+        total:   pick('total'),
+        network: pick('network'),
+        host:    pick('host'),
+        video:   pick('video'),
+      },
+      samples: this.samples,
+    };
+  }
+}
+
+/** Saves `data` as a JSON download. */
+function downloadLatencyReport (data, name) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = name;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+if (typeof window !== 'undefined') {
+  window.FrameStamper          = FrameStamper;
+  window.LatencyMeter          = LatencyMeter;
+  window.downloadLatencyReport = downloadLatencyReport;
+}
@@ -0,0 +1,197 @@
+/**
+ * Touch controller layouts
+ *
+ * A layout nudges, resizes and fades the on-screen controls without replacing
+ * the page's own CSS: every element marked with `data-layout="<id>"` keeps its
+ * normal place in the flow and gets a CSS `translate` / `scale` / `opacity` on
+ * top. Offsets are stored in viewport units (vw / vh) so a layout carries over
+ * between phones of different sizes.
+ *
+ * Layout JSON (also the export format):
+ *   { format: 'snes-pad-layout', version: 1, name, diagonals,
+ *     items: { [id]: { x, y, scale, opacity } } }
+ *
+ * `diagonals` sets how the D-pad / joystick resolves diagonals: 'off' (4-way),
+ * 'normal' or 'wide' (bigger diagonal zones).
+ *
+ * Shared by viewer.html and bindControllerButtons(); server.js applies the
+ * same limits to layouts the host pushes to the room.
+ */
+
+'use strict';
+
+const PAD_LAYOUT_FORMAT = 'snes-pad-layout';
+const PAD_LAYOUT_KEY    = 'snes_pad_layouts';
+const MAX_PAD_LAYOUTS   = 20;
+const MAX_LAYOUT_ITEMS  = 32;
+
+// Minimum normalised |axis| for a direction to count, per diagonal mode
+const DIAGONAL_ZONES = { off: null, normal: 0.42, wide: 0.3 };
+
+const _clamp = (v, min, max, dflt) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : dflt;
+};
+
+const PadLayout = {
+  DEFAULT_NAME: 'Padrão',
+
+  /** An untouched layout: every control where the page CSS puts it. */
+  blank (name = PadLayout.DEFAULT_NAME) {
+    return { format: PAD_LAYOUT_FORMAT, version: 1, name, diagonals: 'normal', items: {} };
+  },
+
+  /**
+   * Validates an imported / received layout and clamps every value.
+   * @throws {Error} when `raw` is not a layout at all
+   */
+  normalize (raw) {
+    if (!raw || typeof raw !== 'object' || raw.format !== PAD_LAYOUT_FORMAT || typeof raw.items !== 'object') {
+      throw new Error('Arquivo não é um layout de controle.');
+    }
+    const layout = PadLayout.blank(String(raw.name || 'Layout').trim().slice(0, 40) || 'Layout');
+    if (raw.diagonals in DIAGONAL_ZONES) layout.diagonals = raw.diagonals;
+    for (const [id, item] of Object.entries(raw.items || {}).slice(0, MAX_LAYOUT_ITEMS)) {
+      if (!/^[A-Z_]{1,16}$/.test(id) || !item || typeof item !== 'object') continue;
+      layout.items[id] = {
+        x:       _clamp(item.x, -100, 100, 0),
+        y:       _clamp(item.y, -100, 100, 0),
+        scale:   _clamp(item.scale, 0.4, 2.5, 1),
+        opacity: _clamp(item.opacity, 0.1, 1, 1),
+      };
+    }
+    return layout;
+  },
+
+  item (layout, id) {
+    return layout.items[id] || (layout.items[id] = { x: 0, y: 0, scale: 1, opacity: 1 });
+  },
+
+  /** Applies `layout` to every `[data-layout]` element under `root`. */
+  apply (layout, root = document) {
+    root.querySelectorAll('[data-layout]').forEach(el => {
+      const it = layout.items[el.dataset.layout];
+      el.style.translate = it ? `${it.x}vw ${it.y}vh` : '';
+      el.style.scale     = it && it.scale !== 1 ? String(it.scale) : '';
+      el.style.opacity   = it && it.opacity !== 1 ? String(it.opacity) : '';
+    });
+  },
+
+  /**
+   * Directions for a D-pad / joystick deflection.
+   * @param {number} nx  normalised x (-1 … 1)
+   * @param {number} ny  normalised y (-1 … 1)
+   * @returns {string[]}
+   */
+  directions (nx, ny, diagonals = 'normal') {
+    const zone = DIAGONAL_ZONES[diagonals];
+    if (!zone) {
+      // 4-way: only the dominant axis
+      if (Math.abs(nx) > Math.abs(ny)) return [nx < 0 ? 'LEFT' : 'RIGHT'];
+      return [ny < 0 ? 'UP' : 'DOWN'];
+    }
+    const dirs = [];
+    if (Math.abs(ny) > zone) dirs.push(ny < 0 ? 'UP' : 'DOWN');
+    if (Math.abs(nx) > zone) dirs.push(nx < 0 ? 'LEFT' : 'RIGHT');
+    return dirs;
+  },
+
+  // ── Saved layouts (localStorage) ────────────────────────────────────────────
+  /** @returns {{ active: string, layouts: Object<string, object> }} */
+  load () {
+    try {
+      const store = JSON.parse(localStorage.getItem(PAD_LAYOUT_KEY) || '{}');
+      const layouts = {};
+      for (const raw of Object.values(store.layouts || {})) {
+        try { const l = PadLayout.normalize(raw); layouts[l.name] = l; } catch {}
+      }
+      return { active: layouts[store.active] ? store.active : PadLayout.DEFAULT_NAME, layouts };
+    } catch {
+      return { active: PadLayout.DEFAULT_NAME, layouts: {} };
+    }
+  },
+
+  save (store) {
+    const names = Object.keys(store.layouts).slice(-MAX_PAD_LAYOUTS);
+    const layouts = Object.fromEntries(names.map(n => [n, store.layouts[n]]));
+    localStorage.setItem(PAD_LAYOUT_KEY, JSON.stringify({ active: store.active, layouts }));
+  },
+
+  /** The layout currently selected in `store` (a blank one for "Padrão"). */
+  current (store) {
+    return store.layouts[store.active] || PadLayout.blank();
+  },
+
+  // ── Import / export ─────────────────────────────────────────────────────────
+  exportFile (layout) {
+    const blob = new Blob([JSON.stringify(layout, null, 2)], { type: 'application/json' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = `${layout.name.replace(/[^\w-]+/g, '_') || 'layout'}.json`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+  },
+
+  /** @returns {Promise<object>} normalised layout */
+  async importFile (file) {
+    if (file.size > 64 * 1024) throw new Error('Arquivo grande demais para um layout.');
+    let raw;
+    try { raw = JSON.parse(await file.text()); }
+    catch { throw new Error('Arquivo não é um JSON válido.'); }
+    return PadLayout.normalize(raw);
+  },
+
+  // ── Edit mode ───────────────────────────────────────────────────────────────
+  /**
+   * Lets the user drag `[data-layout]` elements. Pointer events are caught in
+   * the capture phase so the controls don't press buttons while editing.
+   * @param {object} layout  edited in place
+   * @param {(id: string) => void} onSelect  called when an element is picked
+   * @returns {() => void} stops edit mode
+   */
+  edit (layout, onSelect) {
+    let drag = null;
+
+    const down = e => {
+      const el = e.target.closest('[data-layout]');
+      if (!el) return;
+      e.preventDefault();
+      e.stopPropagation();
+      const it = PadLayout.item(layout, el.dataset.layout);
+      drag = { id: el.dataset.layout, px: e.clientX, py: e.clientY, x: it.x, y: it.y };
+      onSelect(drag.id);
+    };
+    const move = e => {
+      if (!drag) return;
+      e.preventDefault();
+      e.stopPropagation();
+      const it = PadLayout.item(layout, drag.id);
+      it.x = _clamp(drag.x + (e.clientX - drag.px) / innerWidth  * 100, -100, 100, 0);
+      it.y = _clamp(drag.y + (e.clientY - drag.py) / innerHeight * 100, -100, 100, 0);
+      PadLayout.apply(layout);
+    };
+    const up = e => {
+      if (!drag) return;
+      e.stopPropagation();
+      drag = null;
+    };
+
+    document.addEventListener('pointerdown', down, true);
+    document.addEventListener('pointermove', move, true);
+    document.addEventListener('pointerup', up, true);
+    document.addEventListener('pointercancel', up, true);
+    document.body.classList.add('pad-editing');
+    return () => {
+      document.removeEventListener('pointerdown', down, true);
+      document.removeEventListener('pointermove', move, true);
+      document.removeEventListener('pointerup', up, true);
+      document.removeEventListener('pointercancel', up, true);
+      document.body.classList.remove('pad-editing');
+    };
+  },
+};
+
+PadLayout.FORMAT         = PAD_LAYOUT_FORMAT;
+PadLayout.DIAGONAL_ZONES = DIAGONAL_ZONES;
+
+if (typeof window !== 'undefined') window.PadLayout = PadLayout;
@@ -0,0 +1,124 @@
+/**
+ * SNES Mouse, Super Scope and Justifier
+ *
+ * The host picks a device per console port (room settings). Controllers keep
+ * sending joypad:input; for a pointer device the `axes` field carries the
+ * pointer and three joypad bits double as its buttons:
+ *
+ *   mouse       axes = relative movement since the last message (counts)
+ *   superscope  axes = aim point, 0–1 across the game picture (outside = off-screen)
+ *   justifier     "
+ *
+ *   B = left button / trigger   A = right button / cursor   Y = turbo (Super Scope)
+ *
+ * On the host, PeripheralBridge replays that as mouse events on the EmulatorJS
+ * canvas, which RetroArch's web input driver feeds to the core's mouse or
+ * light gun device. Port devices are RetroArch `input_libretro_device_pN`
+ * values and only take effect when the emulator boots.
+ */
+
+'use strict';
+
+const PERIPHERALS = {
+  joypad:     { label: 'Controle',    device: 1,   ports: [1, 2] },
+  mouse:      { label: 'Mouse SNES',  device: 2,   ports: [1, 2], pointer: 'relative' },
+  superscope: { label: 'Super Scope', device: 260, ports: [2],    pointer: 'absolute' },
+  justifier:  { label: 'Justifier',   device: 516, ports: [2],    pointer: 'absolute' },
+};
+
+// [joypad bit, MouseEvent.button]
+const POINTER_BUTTONS = [[0, 0], [8, 2], [1, 1]];
+const POINTER_MASK    = POINTER_BUTTONS.reduce((m, [bit]) => m | (1 << bit), 0);
+
+/**
+ * Console port a player slot is wired to: slot 1 → port 1, the rest share
+ * port 2 through the multitap. A pointer device on port 2 replaces the
+ * multitap, leaving slots 3 and 4 unplugged.
+ */
+function slotPort (slot) {
+  if (slot === 1) return 1;
+  return slot >= 2 && slot <= 4 ? 2 : null;
+}
+
+/** Device key driven by `slot` under `ports` ({ 1: key, 2: key }). */
+function slotDevice (ports, slot) {
+  const port   = slotPort(slot);
+  const device = (ports && ports[port]) || 'joypad';
+  if (port === 2 && slot > 2 && device !== 'joypad') return null;   // no multitap
+  return device;
+}
+
+class PeripheralBridge {
+  /** @param {() => HTMLCanvasElement|null} getCanvas */
+  constructor (getCanvas = () => document.querySelector('#game canvas')) {
+    this.getCanvas = getCanvas;
+    this.ports     = { 1: 'joypad', 2: 'joypad' };
+    this._state    = {};   // slot → { buttons, x, y }
+  }
+
+  setPorts (ports) {
+    this.ports  = { 1: 'joypad', 2: 'joypad', ...ports };
+    this._state = {};
+  }
+
+  /** 'relative' | 'absolute' | undefined */
+  pointerMode (slot) {
+    return PERIPHERALS[slotDevice(this.ports, slot)]?.pointer;
+  }
+
+  /**
+   * Replays a pointer slot's input on the canvas.
+   * @returns {number} the buttons that still go to the joypad path
+   */
+  input (slot, buttons, axes) {
+    const mode   = this.pointerMode(slot);
+    const canvas = this.getCanvas();
+    if (!mode || !canvas) return buttons;
+    const r  = canvas.getBoundingClientRect();
+    const st = this._state[slot] ||
+      (this._state[slot] = { buttons: 0, x: r.left + r.width / 2, y: r.top + r.height / 2 });
+
+    // No axes (movie playback, release) keeps the pointer where it is
+    const ax = axes ? Number(axes.x) || 0 : 0;
+    const ay = axes ? Number(axes.y) || 0 : 0;
+    let x = st.x, y = st.y;
+    if (axes && mode === 'relative') {
+      x = Math.min(r.right,  Math.max(r.left, st.x + ax));
+      y = Math.min(r.bottom, Math.max(r.top,  st.y + ay));
+    } else if (axes) {
+      x = r.left + ax * r.width;
+      y = r.top  + ay * r.height;
+    }
+    if (x !== st.x || y !== st.y || (mode === 'relative' && (ax || ay))) {
+      this._dispatch(canvas, 'mousemove', {
+        clientX: x, clientY: y,
+        movementX: mode === 'relative' ? ax : x - st.x,
+        movementY: mode === 'relative' ? ay : y - st.y,
+      }, buttons);
+      st.x = x;
+      st.y = y;
+    }
+
+    const changed = (st.buttons ^ buttons) & POINTER_MASK;
+    for (const [bit, button] of POINTER_BUTTONS) {
+      if (!(changed & (1 << bit))) continue;
+      const type = buttons & (1 << bit) ? 'mousedown' : 'mouseup';
+      this._dispatch(canvas, type, { clientX: x, clientY: y, button }, buttons);
+    }
+    st.buttons = buttons;
+    return buttons & ~POINTER_MASK;
+  }
+
+  _dispatch (canvas, type, init, buttons) {
+    // MouseEvent.buttons uses 1 = left, 2 = right, 4 = middle
+    const held = (buttons & 1 ? 1 : 0) | (buttons & (1 << 8) ? 2 : 0) | (buttons & 2 ? 4 : 0);
+    canvas.dispatchEvent(new MouseEvent(type, { bubbles: true, cancelable: true, view: window, buttons: held, ...init }));
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.PERIPHERALS      = PERIPHERALS;
+  window.PeripheralBridge = PeripheralBridge;
+  window.slotPort         = slotPort;
+  window.slotDevice       = slotDevice;
+}
@@ -0,0 +1,74 @@
+/**
+ * ROM identity helper
+ *
+ * A ROM is identified by the SHA-1 of its image WITHOUT the optional 512-byte
+ * copier header, so .smc and .sfc dumps of the same game share save states
+ * and SRAM.  Must stay in sync with the server-side hash.
+ *
+ * crypto.subtle only exists in secure contexts (https / localhost); on a plain
+ * http LAN address we fall back to the small pure-JS SHA-1 below.
+ */
+
+'use strict';
+
+function stripCopierHeader (buf) {
+  return buf.byteLength % 1024 === 512 ? buf.slice(512) : buf;
+}
+
+function _toHex (bytes) {
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// ── Pure-JS SHA-1 (FIPS 180-4) ───────────────────────────────────────────────
+function _sha1 (buf) {
+  const src   = new Uint8Array(buf);
+  const len   = src.length;
+  const total = ((len + 9 + 63) >> 6) << 6;       // padded length, multiple of 64
+  const msg   = new Uint8Array(total);
+  msg.set(src);
+  msg[len] = 0x80;
+  const view = new DataView(msg.buffer);
+  view.setUint32(total - 8, Math.floor(len / 0x20000000));
+  view.setUint32(total - 4, (len << 3) >>> 0);
+
+  let h0 = 0x67452301, h1 = 0xEFCDAB89, h2 = 0x98BADCFE, h3 = 0x10325476, h4 = 0xC3D2E1F0;
+  const w = new Uint32Array(80);
+  for (let off = 0; off < total; off += 64) {
+    for (let i = 0; i < 16; i++) w[i] = view.getUint32(off + i * 4);
+    for (let i = 16; i < 80; i++) {
+      const x = w[i - 3] ^ w[i - 8] ^ w[i - 14] ^ w[i - 16];
+      w[i] = (x << 1) | (x >>> 31);
+    }
+    let a = h0, b = h1, c = h2, d = h3, e = h4;
+    for (let i = 0; i < 80; i++) {
+      let f, k;
+      if (i < 20)      { f = (b & c) | (~b & d);          k = 0x5A827999; }
+      else if (i < 40) { f = b ^ c ^ d;                   k = 0x6ED9EBA1; }
+      else if (i < 60) { f = (b & c) | (b & d) | (c & d); k = 0x8F1BBCDC; }
+      else             { f = b ^ c ^ d;                   k = 0xCA62C1D6; }
+      const t = (((a << 5) | (a >>> 27)) + f + e + k + w[i]) >>> 0;
+      e = d; d = c; c = (b << 30) | (b >>> 2); b = a; a = t;
+    }
+    h0 = (h0 + a) >>> 0; h1 = (h1 + b) >>> 0; h2 = (h2 + c) >>> 0;
+    h3 = (h3 + d) >>> 0; h4 = (h4 + e) >>> 0;
+  }
+  const out = new DataView(new ArrayBuffer(20));
+  [h0, h1, h2, h3, h4].forEach((h, i) => out.setUint32(i * 4, h));
+  return new Uint8Array(out.buffer);
+}
+
+/**
+ * @param {ArrayBuffer} buf  raw ROM file contents
+ * @returns {Promise<string>} 40-char lowercase hex SHA-1
+ */
+async function romHash (buf) {
+  const image = stripCopierHeader(buf);
+  if (window.crypto && crypto.subtle) {
+    return _toHex(new Uint8Array(await crypto.subtle.digest('SHA-1', image)));
+  }
+  return _toHex(_sha1(image));
+}
+
+if (typeof window !== 'undefined') {
+  window.romHash = romHash;
+}
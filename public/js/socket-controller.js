@@ -6,32 +6,64 @@
  *     EmulatorJS via  window.EJS_emulator.gameManager.simulateInput()
  *   – Chat and room events are relayed to the page UI
  *
- * SNES bitmask layout (matches controller-client.js):
+ * Bitmask layout (RetroPad order, see js/systems.js):
  *   Bit 0  B    Bit 1  Y    Bit 2  SELECT  Bit 3  START
  *   Bit 4  UP   Bit 5  DOWN Bit 6  LEFT    Bit 7  RIGHT
  *   Bit 8  A    Bit 9  X    Bit 10 L       Bit 11 R
  *
  * EmulatorJS simulateInput(player, index, value) uses the same indices 0-11
- * for the SNES control scheme, so bits map 1-to-1 to EJS button indices.
+ * for every core, so bits map 1-to-1 to EJS button indices; only the bits of
+ * the room's system (js/systems.js, loaded first) are injected.
+ *
+ * Slots whose port has a SNES Mouse / Super Scope / Justifier (room settings)
+ * are replayed as mouse events on the canvas by PeripheralBridge
+ * (js/peripherals.js, loaded first).
+ *
+ * Netplay mode: instead of applying inputs the moment they arrive, every
+ * input (remote and local) is queued for a frame `delay` frames after it was
+ * sent and applied on that frame boundary, so all players get the same lag.
+ *
+ * Shared slots: when the host seats others in this page's own slot, the server
+ * sends their merged buttons for it and the keyboard is merged in here with
+ * the room's share mode (see mergeSlot() in server.js).
  */
 
 'use strict';
 
+const FRAME_MS = 1000 / 60.0988;   // NTSC SNES frame
+
 class SocketController {
   /**
    * @param {string} roomId
    * @param {string} playerName
+   * @param {{ password?: string, unlisted?: boolean }} [access]  room access
+   *        options; only applied by the server when this socket creates the room
    */
-  constructor (roomId, playerName) {
+  constructor (roomId, playerName, access = {}) {
     this.roomId      = roomId;
     this.playerName  = playerName;
+    this.access      = access;
     this.socket      = null;
     this.slot        = null;
     this.isHost      = false;
+    this.resumeToken = null;                 // from room:joined, also our REST credential
+    this.system      = Systems.get();            // the room's console (room:joined / room:updated)
     this.connected   = false;
     this._ejsReady   = false;
     this._prevState  = new Uint32Array(5);   // index 1-4 = player slots
+    this._own        = { local: 0, remote: 0, last: 'local' };   // own slot's inputs, see _mergeOwn()
+    this._shareMode  = { mode: 'or', mask: Systems.PARTS.all };  // room's share mode, our part when shared
     this._handlers   = {};
+    this._movieTimer = null;                 // set while a movie plays back
+    this.peripherals = new PeripheralBridge();
+
+    // Netplay (frame-synchronised input)
+    this.netplay     = { enabled: false, delay: 2 };
+    this.inputStats  = {};                   // slot → { received, late, dropped, lagMs }
+    this._senders    = new Map();            // socketId → { lastSeq, minTransit }, see _trackInput()
+    this._queue      = [];                   // { frame, slot, buttons, axes, input, source }, sorted by frame
+    this._epoch      = performance.now();    // frame 0
+    this._rafId      = null;
   }
 
   // ── Notify when EmulatorJS game has started ──────────────────────────────────
@@ -57,41 +89,103 @@ class SocketController {
     this.socket.on('connect', () => {
       this.connected = true;
       this.socket.emit('room:join', {
-        roomId:     this.roomId,
-        playerName: this.playerName,
-        role:       'emulator',   // this page runs EmulatorJS
+        roomId:      this.roomId,
+        playerName:  this.playerName,
+        role:        'emulator',   // this page runs EmulatorJS
+        password:    this.access.password || undefined,
+        unlisted:    !!this.access.unlisted,
+        // Reclaims our slot if the server is still holding it after a drop
+        resumeToken: sessionStorage.getItem('snes_resume:' + this.roomId) || undefined,
       });
     });
 
-    this.socket.on('room:joined', ({ slot, isHost, roomId, info }) => {
+    // takeover: set when this page is the room's new emulator after the old
+    // one left (host migration) – the game to boot and its checkpoint.
+    // superseded: this page dropped and another one took over meanwhile.
+    this.socket.on('room:joined', ({ slot, role, isHost, roomId, resumeToken, info, takeover, superseded }) => {
       this.slot   = slot;
       this.isHost = isHost;
-      this._emit('joined', { slot, isHost, roomId, info });
+      if (info) {
+        this.system = Systems.get(info.system);
+        this._applyShare(info);
+      }
+      if (resumeToken) {
+        this.resumeToken = resumeToken;
+        sessionStorage.setItem('snes_resume:' + roomId, resumeToken);
+      }
+      this._emit('joined', { slot, role, isHost, roomId, info, takeover, superseded: !!superseded });
+    });
+
+    // The room's emulator left; the server asks this page to run the game
+    this.socket.on('emulator:offer', offer => this._emit('emulatorOffer', offer));
+
+    // Host moved this socket to another slot (swap) or seat (promote/demote)
+    this.socket.on('room:role', ({ slot, role }) => {
+      if (slot !== this.slot) this._own.remote = 0;
+      this.slot = slot;
+      this._emit('role', { slot, role });
     });
 
     this.socket.on('room:updated', info => {
+      this.system = Systems.get(info.system);
+      this._applyShare(info);
       this._emit('roomUpdated', info);
     });
 
     this.socket.on('room:newhost', ({ host }) => {
-      if (this.socket.id === host) {
-        this.isHost = true;
-        this._emit('newHost', {});
-      }
+      const wasHost = this.isHost;
+      this.isHost = this.socket.id === host;
+      if (this.isHost && !wasHost) this._emit('newHost', {});
     });
 
-    this.socket.on('room:error', ({ message }) => {
-      this._emit('error', { message });
+    this.socket.on('room:error', ({ code, message }) => {
+      this._emit('error', { code, message });
+    });
+
+    // Host kicked/banned this socket; the server closes the connection next
+    this.socket.on('room:kicked', ({ reason, message }) => {
+      this._emit('kicked', { reason, message });
     });
 
     // ── Remote joypad → EmulatorJS input injection ──────────────────────────
-    this.socket.on('joypad:state', ({ slot, buttons }) => {
-      // Skip our own slot; the host uses keyboard/gamepad natively in EJS
-      if (slot === this.slot) return;
-      this._injectInput(slot, buttons);
+    // Our own slot only comes in when others share it: their merged buttons,
+    // combined with the keyboard in _mergeOwn()
+    this.socket.on('joypad:state', ({ slot, buttons, axes, from, seq, t }) => {
+      if (this.playingMovie) return;   // the movie owns every slot
+      const source = slot === this.slot ? 'remote' : null;
+      const lagMs = this._trackInput(slot, from, seq, t);
+      const input = { from, seq, at: performance.now() };
+      if (!this.netplay.enabled) {
+        this._injectInput(slot, buttons, axes, source);
+        return this._applied(slot, input);
+      }
+      this._schedule(slot, buttons, lagMs, axes, input, source);
     });
 
     this.socket.on('chat:msg', msg => this._emit('chat', msg));
+    this.socket.on('chat:history', ({ messages }) => this._emit('chatHistory', messages));
+    this.socket.on('chat:error', err => this._emit('chatError', err));
+
+    // A viewer's press-to-photon averages (js/latency.js), for the host HUD
+    this.socket.on('perf:latency', report => this._emit('latency', report));
+
+    // A save state was written/deleted on the server (any room, any ROM)
+    this.socket.on('states:updated', data => this._emit('statesUpdated', data));
+    this.socket.on('sram:updated',   data => this._emit('sramUpdated', data));
+
+    // Input recording started/stopped in this room (movie metadata)
+    this.socket.on('movie:started', meta => this._emit('movieStarted', meta));
+    this.socket.on('movie:stopped', meta => this._emit('movieStopped', meta));
+
+    // A member asked for a clip or screenshot (js/clips.js); answer with
+    // req.ack({ ok } | { error }) once it is uploaded. A new one was stored.
+    this.socket.on('media:capture', (req, ack) => {
+      this._emit('mediaCapture', { ...req, ack: typeof ack === 'function' ? ack : () => {} });
+    });
+    this.socket.on('media:updated', data => this._emit('mediaUpdated', data));
+
+    // Chat plays: live vote / last command (see crowdTally() in server.js)
+    this.socket.on('crowd:tally', tally => this._emit('crowdTally', tally));
 
     this.socket.on('disconnect', () => {
       this.connected = false;
@@ -100,10 +194,17 @@ class SocketController {
   }
 
   // ── Inject a bitmask change into EmulatorJS for a given player slot ──────────
-  _injectInput (slot, buttons) {
+  // source: 'local' (keyboard) or 'remote' (others sharing it) for our own slot
+  _injectInput (slot, buttons, axes, source = null) {
     // Slot is 1-based; host (slot 1) uses keyboard/gamepad in EJS natively.
     // Remote controllers start at slot 2 → EJS player index 1, 2, 3.
     const ejsPlayer = slot - 1;  // EJS players are 0-based
+    if (source) buttons = this._mergeOwn(source, buttons);
+
+    // Mouse / light gun: pointer buttons and axes become canvas mouse events
+    if (this._ejsReady && this.system.peripherals && this.peripherals.pointerMode(slot)) {
+      buttons = this.peripherals.input(slot, buttons, axes);
+    }
 
     const prev    = this._prevState[slot] || 0;
     const changed = prev ^ buttons;
@@ -115,9 +216,9 @@ class SocketController {
       return;
     }
 
-    // SNES has 12 buttons (indices 0–11 in EmulatorJS)
+    const mask = this.system.mask;
     for (let i = 0; i < 12; i++) {
-      if (changed & (1 << i)) {
+      if (changed & mask & (1 << i)) {
         const pressed = (buttons >> i) & 1;
         try {
           ejs.gameManager.simulateInput(ejsPlayer, i, pressed);
@@ -127,18 +228,287 @@ class SocketController {
     this._prevState[slot] = buttons;
   }
 
+  // ── Report this page's own joypad (keyboard) so the server can record it ──────
+  sendInput (buttons) {
+    if (!this.socket || !this.connected || !this.slot) return;
+    this.socket.emit('joypad:input', { buttons });
+  }
+
+  /** This page's own pad: applied now, or after the netplay delay like everyone else's. */
+  localInput (buttons) {
+    this.sendInput(buttons);
+    if (this.playingMovie) return;
+    const slot = this.slot || 1;
+    if (this.netplay.enabled) this._schedule(slot, buttons, 0, undefined, undefined, 'local');
+    else this._injectInput(slot, buttons, undefined, 'local');
+  }
+
+  // ── Shared slots ─────────────────────────────────────────────────────────────
+  /** Same rules as the server's mergeSlot(), for the keyboard plus everyone else's merge. */
+  _mergeOwn (source, buttons) {
+    const own = this._own;
+    own[source] = buttons;
+    own.last    = source;
+    return this._ownButtons();
+  }
+
+  _ownButtons () {
+    const own = this._own;
+    if (this._shareMode.mode === 'last') return own[own.last];
+    return (own.local & this._shareMode.mask) | own.remote;
+  }
+
+  _applyShare (info) {
+    const mode = (info.settings && info.settings.share) || 'or';
+    const me   = (info.players || []).find(p => p.id === this.socket.id);
+    const mates = (info.players || []).filter(p => p.slot && p.slot === this.slot && p.id).length;
+    const mask = mode === 'split' && mates > 1 ? Systems.PARTS[(me && me.part) || 'all'] : Systems.PARTS.all;
+    if (mode === this._shareMode.mode && mask === this._shareMode.mask) return;
+    this._shareMode = { mode, mask };
+    if (this.slot && !this.playingMovie) this._injectInput(this.slot, this._ownButtons());
+  }
+
+  /**
+   * Host: seats a member in `slot` next to whoever has it (room settings.share
+   * decides how their buttons combine). Sent for a member already there, only
+   * changes their part of the pad.
+   * @param {'move'|'action'|'all'} [part]  split mode only
+   */
+  share (socketId, slot, part) {
+    if (!this.socket || !this.connected) return;
+    this.socket.emit('room:share', { socketId, slot, ...(part && { part }) });
+  }
+
+  // ── Netplay: frame-synchronised input ────────────────────────────────────────
+  /** @param {{ enabled?: boolean, delay?: number }} opts  delay in frames (0-15) */
+  setNetplay ({ enabled = this.netplay.enabled, delay = this.netplay.delay } = {}) {
+    this.netplay = { enabled: !!enabled, delay: Math.max(0, Math.min(15, delay | 0)) };
+    if (this.netplay.enabled && this._rafId === null) {
+      this._rafId = requestAnimationFrame(() => this._frameTick());
+    } else if (!this.netplay.enabled) {
+      cancelAnimationFrame(this._rafId);
+      this._rafId = null;
+      this._flushQueue(Infinity);
+    }
+  }
+
+  _frame (now = performance.now()) {
+    return Math.floor((now - this._epoch) / FRAME_MS);
+  }
+
+  /**
+   * Updates per-slot stats from an input's sequence number and send time.
+   * Sequence numbers and clocks belong to the sender (`from`), and a shared
+   * slot has several, so those are tracked per sender. Clocks aren't
+   * synchronised, so lag is measured against the fastest delivery seen from
+   * that sender: lagMs = how much later than best case this input arrived.
+   */
+  _trackInput (slot, from, seq, t) {
+    const st = this.inputStats[slot] ||
+      (this.inputStats[slot] = { received: 0, late: 0, dropped: 0, lagMs: 0, lastFrame: 0 });
+    st.received++;
+    if (!from) return 0;   // the server's own update (slot released, chat plays)
+    const src = this._senders.get(from) || { lastSeq: null, minTransit: Infinity };
+    this._senders.set(from, src);
+    if (Number.isInteger(seq)) {
+      if (src.lastSeq !== null && seq > src.lastSeq + 1) st.dropped += seq - src.lastSeq - 1;
+      src.lastSeq = seq;
+    }
+    if (typeof t !== 'number') return 0;
+    const transit = Date.now() - t;
+    // Let the baseline creep up slowly so a one-off fast packet or clock
+    // drift doesn't make everything look late forever
+    src.minTransit = transit < src.minTransit ? transit : src.minTransit + (transit - src.minTransit) * 0.002;
+    const lag = transit - src.minTransit;
+    st.lagMs += (lag - st.lagMs) * 0.1;
+    return lag;
+  }
+
+  /** Tells the latency stamper (js/latency.js) a remote input reached EmulatorJS. */
+  _applied (slot, { from, seq, at } = {}) {
+    if (from && Number.isInteger(seq)) this._emit('inputApplied', { slot, from, seq, at });
+  }
+
+  _schedule (slot, buttons, lagMs, axes, input, source = null) {
+    const current = this._frame();
+    let frame = this._frame(performance.now() - lagMs) + this.netplay.delay;
+    const st = this.inputStats[slot];
+    if (frame < current) {
+      if (st) st.late++;     // arrived after its frame: apply on the next boundary
+      frame = current;
+    }
+    // Never let a later input overtake an earlier one from the same slot
+    if (st) frame = st.lastFrame = Math.max(frame, st.lastFrame);
+    let i = this._queue.length;
+    while (i > 0 && this._queue[i - 1].frame > frame) i--;
+    this._queue.splice(i, 0, { frame, slot, buttons, axes, input, source });
+  }
+
+  _flushQueue (upToFrame) {
+    let n = 0;
+    while (n < this._queue.length && this._queue[n].frame <= upToFrame) {
+      const { slot, buttons, axes, input, source } = this._queue[n++];
+      this._injectInput(slot, buttons, axes, source);
+      this._applied(slot, input);
+    }
+    if (n) this._queue.splice(0, n);
+  }
+
+  _frameTick () {
+    this._flushQueue(this._frame());
+    this._rafId = requestAnimationFrame(() => this._frameTick());
+  }
+
+  // ── Input movies ─────────────────────────────────────────────────────────────
+  /** @returns {Promise<{ id?: string, error?: string }>} */
+  startRecording ({ romHash, romName, state }) {
+    if (!this.socket || !this.connected) return Promise.resolve({ error: 'Not connected.' });
+    return this.socket.emitWithAck('movie:start', { romHash, romName, state });
+  }
+
+  stopRecording () {
+    if (!this.socket || !this.connected) return Promise.resolve({ error: 'Not connected.' });
+    return this.socket.emitWithAck('movie:stop', {});
+  }
+
+  /**
+   * Emulator page: writes the checkpoint (save slot 0) a handover resumes from.
+   * @returns {Promise<{ meta?: object, error?: string }>}
+   */
+  saveCheckpoint (romHash, state) {
+    if (!this.socket || !this.connected) return Promise.resolve({ error: 'Not connected.' });
+    return this.socket.emitWithAck('state:checkpoint', { romHash, state });
+  }
+
+  /** Answers emulator:offer. Resolves { takeover } on success, or { error }. */
+  answerEmulatorOffer (accept) {
+    if (!this.socket || !this.connected) return Promise.resolve({ error: 'Not connected.' });
+    return this.socket.emitWithAck('emulator:answer', { accept: !!accept });
+  }
+
+  get playingMovie () { return this._movieTimer !== null; }
+
+  /**
+   * Replays a recorded input log into EmulatorJS, for every slot including
+   * our own. Live remote input is ignored until it ends or stopMovie().
+   * @param {{ events: Array<[number, number, number]>, duration: number }} movie
+   *        events are [ms, slot, buttons]
+   * @param {() => void} [onEnd]
+   */
+  playMovie ({ events, duration }, onEnd) {
+    this.stopMovie();
+    this._releaseAll();
+    const start = performance.now();
+    let next = 0;
+    const tick = () => {
+      const now = performance.now() - start;
+      while (next < events.length && events[next][0] <= now) {
+        const [, slot, buttons] = events[next++];
+        this._injectInput(slot, buttons);
+      }
+      const due = next < events.length ? events[next][0] : duration;
+      if (next >= events.length && now >= duration) {
+        this.stopMovie();
+        if (onEnd) onEnd();
+        return;
+      }
+      this._movieTimer = setTimeout(tick, due - now);
+    };
+    this._movieTimer = setTimeout(tick, 0);
+  }
+
+  stopMovie () {
+    if (this._movieTimer === null) return;
+    clearTimeout(this._movieTimer);
+    this._movieTimer = null;
+    this._releaseAll();
+  }
+
+  _releaseAll () {
+    for (let slot = 1; slot <= 4; slot++) this._injectInput(slot, 0);
+  }
+
   // ── Tell server which ROM is loaded (for lobby display) ───────────────────
-  setRom (romName) {
+  /** @param {string} [system]  the ROM's console; the room switches to it */
+  setRom (romName, romHash, system) {
+    if (!this.socket || !this.connected) return;
+    this.socket.emit('room:setrom', { romName, romHash, system });
+  }
+
+  // ── Host: recommended touch layout for the loaded ROM (null clears it) ──────
+  setPadLayout (layout) {
+    if (!this.socket || !this.connected) return Promise.resolve({ error: 'Not connected.' });
+    return this.socket.emitWithAck('room:layout', { layout });
+  }
+
+  // ── Host room settings ──────────────────────────────────────────────────────
+  /**
+   * @param {{ assists?: boolean, ports?: object, system?: string, rotation?: { rule?: string, seconds?: number },
+   *           share?: 'or'|'last'|'split', crowd?: { mode?: 'off'|'anarchy'|'democracy', slot?: number,
+   *           seconds?: number, cooldown?: number, blocked?: string[] } }} settings
+   */
+  setRoomSettings (settings) {
+    if (!this.socket || !this.connected) return;
+    this.socket.emit('room:settings', settings);
+  }
+
+  // ── Host moderation ──────────────────────────────────────────────────────────
+  kick (socketId) {
     if (!this.socket || !this.connected) return;
-    this.socket.emit('room:setrom', { romName });
+    this.socket.emit('room:kick', { socketId });
+  }
+
+  /** @param {{ socketId?: string, name?: string }} target */
+  ban (target) {
+    if (!this.socket || !this.connected) return;
+    this.socket.emit('room:ban', target);
+  }
+
+  // ── Host seat management ────────────────────────────────────────────────────
+  promote (socketId) {
+    if (!this.socket || !this.connected) return;
+    this.socket.emit('room:promote', { socketId });
+  }
+
+  demote (socketId) {
+    if (!this.socket || !this.connected) return;
+    this.socket.emit('room:demote', { socketId });
+  }
+
+  swapSlots (a, b) {
+    if (!this.socket || !this.connected) return;
+    this.socket.emit('room:swap-slots', { a, b });
+  }
+
+  /** Play queue: ends `slot`'s turn now, or the longest-seated player's without one. */
+  nextTurn (slot) {
+    if (!this.socket || !this.connected) return Promise.resolve({ error: 'Not connected.' });
+    return this.socket.emitWithAck('queue:next', slot ? { slot } : {});
+  }
+
+  /** Chat plays: throws out the open vote and the presses still running. */
+  crowdVeto () {
+    if (!this.socket || !this.connected) return Promise.resolve({ error: 'Not connected.' });
+    return this.socket.emitWithAck('crowd:veto', {});
   }
 
   // ── Send chat ─────────────────────────────────────────────────────────────────
+  /** Host only: goes through the same /mute command players can type. */
+  setMuted (name, muted) {
+    this.sendChat(`/${muted ? 'mute' : 'unmute'} ${name}`);
+  }
+
   sendChat (text) {
     if (!this.socket || !this.connected) return;
     this.socket.emit('chat:msg', { text });
   }
 
+  // ── REST calls ───────────────────────────────────────────────────────────────
+  /** Headers that tell the REST API who we are in the room (host-only routes). */
+  authHeaders () {
+    return this.resumeToken ? { 'X-Room-Token': this.resumeToken } : {};
+  }
+
   // ── Disconnect ───────────────────────────────────────────────────────────────
   disconnect () {
     if (this.socket) { this.socket.disconnect(); this.socket = null; }
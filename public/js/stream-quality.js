@@ -0,0 +1,255 @@
+/**
+ * Per-viewer stream quality
+ *
+ * The host page encodes the canvas once per viewer (one RTCPeerConnection
+ * each), so every viewer can get its own bitrate, resolution and frame rate.
+ * QualityTuner samples each peer's getStats() every couple of seconds and
+ * moves it between the profiles below with RTCRtpSender.setParameters():
+ *
+ *   down  packet loss > 5 %, RTT > 350 ms, or the encoder held back by
+ *         bandwidth with availableOutgoingBitrate below 80 % of the
+ *         profile's bitrate (the estimate alone is low while it ramps up)
+ *   up    loss < 2 %, RTT < 200 ms and no bandwidth limit for UP_AFTER
+ *         samples; a step down soon after a step up doubles the wait (up to
+ *         a minute)
+ *
+ * Viewers pick "auto" or pin a profile. Both ends talk over a reliable
+ * "quality" data channel the host opens next to latency.js's "frames" one:
+ *
+ *   viewer → host   { choice: 'auto' | profile id }
+ *   host → viewer   { profile, choice, stats: { loss, rtt, available, sent, fps, width, height } }
+ *
+ * The host sends its message after every sample and whenever the profile
+ * changes; the viewer shows it in its HUD.
+ */
+
+'use strict';
+
+// Ordered best first. `height` caps the picture height (null = as captured);
+// the scale-down factor is worked out from the canvas size.
+const STREAM_PROFILES = {
+  high:   { label: 'Alta',   maxBitrate: 2_000_000, height: null, fps: 60 },
+  medium: { label: 'Média',  maxBitrate: 1_000_000, height: 720,  fps: 60 },
+  low:    { label: 'Baixa',  maxBitrate:   500_000, height: 480,  fps: 30 },
+  min:    { label: 'Mínima', maxBitrate:   250_000, height: 240,  fps: 30 },
+};
+const PROFILE_ORDER   = Object.keys(STREAM_PROFILES);
+const QUALITY_CHOICES = ['auto', ...PROFILE_ORDER];
+
+const QUALITY_SAMPLE_MS = 2000;
+const LOSS_DOWN = 0.05,  LOSS_UP = 0.02;    // fraction of packets lost
+const RTT_DOWN  = 350,   RTT_UP  = 200;     // ms
+const UP_AFTER  = 4;                        // good samples before stepping up
+const BACKOFF_MIN_MS = 10_000, BACKOFF_MAX_MS = 60_000;
+
+// ─── Host side ────────────────────────────────────────────────────────────────
+class QualityTuner {
+  constructor () {
+    this.peers  = new Map();   // viewerSocketId → peer state, see addPeer()
+    this._timer = null;
+  }
+
+  /** Opens the quality channel; call before createOffer(). `meta` is kept for the HUD (e.g. { name }). */
+  addPeer (id, pc, meta = {}) {
+    const channel = pc.createDataChannel('quality', { ordered: true });
+    const peer = {
+      pc, channel, meta,
+      choice:  'auto',
+      profile: PROFILE_ORDER[0],
+      applied: null,          // profile id last written to the sender
+      stats:   null,          // last sample, see _sample()
+      good:    0,
+      backoff: BACKOFF_MIN_MS,
+      upAt:    0,             // when the last step up happened
+      holdUntil: 0,           // no step up before this
+      _prev:   null,          // raw counters of the previous sample
+    };
+    channel.onmessage = e => {
+      let msg;
+      try { msg = JSON.parse(e.data); } catch (_) { return; }
+      if (!QUALITY_CHOICES.includes(msg && msg.choice)) return;
+      peer.choice = msg.choice;
+      if (msg.choice !== 'auto') peer.profile = msg.choice;
+      peer.good = 0;
+      this._apply(peer).then(() => this._send(peer));
+    };
+    // First profile as soon as there is something to send
+    pc.addEventListener('connectionstatechange', () => {
+      if (pc.connectionState === 'connected') this._apply(peer).then(() => this._send(peer));
+    });
+    this.peers.set(id, peer);
+    if (this._timer === null) this._timer = setInterval(() => this._tick(), QUALITY_SAMPLE_MS);
+  }
+
+  removePeer (id) {
+    this.peers.delete(id);
+    if (!this.peers.size && this._timer !== null) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+  }
+
+  /** One row per viewer, for the host's HUD. */
+  status () {
+    return [...this.peers].map(([id, p]) => ({
+      id, name: p.meta.name || null, choice: p.choice, profile: p.profile, stats: p.stats,
+    }));
+  }
+
+  _tick () {
+    for (const peer of this.peers.values()) {
+      if (peer.pc.connectionState !== 'connected') continue;
+      this._sample(peer).then(stats => {
+        if (!stats) return;
+        peer.stats = stats;
+        if (peer.choice === 'auto') this._adapt(peer, stats);
+        return this._apply(peer);
+      }).then(() => this._send(peer)).catch(() => {});
+    }
+  }
+
+  async _sample (peer) {
+    const report = await peer.pc.getStats().catch(() => null);
+    if (!report) return null;
+    let out = null, remote = null, pair = null, selectedPair = null;
+    report.forEach(r => {
+      if (r.type === 'outbound-rtp' && r.kind === 'video') out = r;
+      else if (r.type === 'remote-inbound-rtp' && r.kind === 'video') remote = r;
+      else if (r.type === 'transport' && r.selectedCandidatePairId) selectedPair = r.selectedCandidatePairId;
+      else if (r.type === 'candidate-pair' && r.nominated && r.state === 'succeeded') pair = pair || r;
+    });
+    if (selectedPair && report.get(selectedPair)) pair = report.get(selectedPair);
+    if (!out) return null;
+
+    // Loss over the last interval, from the counters when the receiver
+    // report has no fractionLost
+    const prev = peer._prev;
+    const now  = { at: out.timestamp, bytes: out.bytesSent || 0, packets: out.packetsSent || 0, lost: remote ? remote.packetsLost || 0 : 0 };
+    peer._prev = now;
+    let loss = remote && typeof remote.fractionLost === 'number' ? remote.fractionLost : 0;
+    if (prev && !(remote && typeof remote.fractionLost === 'number')) {
+      const sent = now.packets - prev.packets;
+      loss = sent > 0 ? Math.max(0, now.lost - prev.lost) / sent : 0;
+    }
+    const rttSec = pair && pair.currentRoundTripTime !== undefined ? pair.currentRoundTripTime
+                 : remote && remote.roundTripTime;
+    return {
+      loss:      Math.round(loss * 1000) / 1000,
+      rtt:       typeof rttSec === 'number' ? Math.round(rttSec * 1000) : null,
+      available: pair && pair.availableOutgoingBitrate ? Math.round(pair.availableOutgoingBitrate) : null,
+      sent:      prev && now.at > prev.at ? Math.round((now.bytes - prev.bytes) * 8000 / (now.at - prev.at)) : null,
+      fps:       out.framesPerSecond || null,
+      width:     out.frameWidth || null,
+      height:    out.frameHeight || null,
+      limit:     out.qualityLimitationReason || 'none',
+    };
+  }
+
+  _adapt (peer, { loss, rtt, available, limit }) {
+    const at      = PROFILE_ORDER.indexOf(peer.profile);
+    const profile = STREAM_PROFILES[peer.profile];
+    const starved = limit === 'bandwidth' && available !== null && available < profile.maxBitrate * 0.8;
+    const congested = loss > LOSS_DOWN || rtt > RTT_DOWN || starved;
+
+    if (congested) {
+      peer.good = 0;
+      if (at === PROFILE_ORDER.length - 1) return;
+      // At least one step; straight to the profile that fits when the
+      // congestion controller says how much there is
+      let next = at + 1;
+      while (starved && next < PROFILE_ORDER.length - 1
+             && STREAM_PROFILES[PROFILE_ORDER[next]].maxBitrate > available * 0.8) next++;
+      const t = Date.now();
+      peer.backoff   = t - peer.upAt < BACKOFF_MAX_MS ? Math.min(peer.backoff * 2, BACKOFF_MAX_MS) : BACKOFF_MIN_MS;
+      peer.holdUntil = t + peer.backoff;
+      peer.profile   = PROFILE_ORDER[next];
+      return;
+    }
+
+    const healthy = loss < LOSS_UP && (rtt === null || rtt < RTT_UP) && limit !== 'bandwidth';
+    peer.good = healthy ? peer.good + 1 : 0;
+    if (at > 0 && peer.good >= UP_AFTER && Date.now() >= peer.holdUntil) {
+      peer.good    = 0;
+      peer.upAt    = Date.now();
+      peer.profile = PROFILE_ORDER[at - 1];
+    }
+  }
+
+  async _apply (peer) {
+    if (peer.applied === peer.profile) return;
+    const sender = peer.pc.getSenders().find(s => s.track && s.track.kind === 'video');
+    if (!sender) return;
+    const profile = STREAM_PROFILES[peer.profile];
+    const srcHeight = (sender.track.getSettings && sender.track.getSettings().height) || 0;
+    const params = sender.getParameters();
+    if (!params.encodings?.length) params.encodings = [{}];
+    Object.assign(params.encodings[0], {
+      maxBitrate:            profile.maxBitrate,
+      maxFramerate:          profile.fps,
+      scaleResolutionDownBy: profile.height && srcHeight > profile.height ? srcHeight / profile.height : 1,
+    });
+    // Full quality keeps every pixel; below that the encoder may trade either
+    params.degradationPreference = profile.height ? 'balanced' : 'maintain-resolution';
+    try {
+      await sender.setParameters(params);
+      peer.applied = peer.profile;
+      console.log(`[Quality] ${peer.meta.name || 'viewer'} → ${peer.profile} (${peer.choice})`);
+    } catch (e) {
+      console.warn('[Quality] setParameters failed', e);
+    }
+  }
+
+  _send (peer) {
+    if (peer.channel.readyState !== 'open') return;
+    try {
+      peer.channel.send(JSON.stringify({ profile: peer.profile, choice: peer.choice, stats: peer.stats }));
+    } catch (_) {}
+  }
+}
+
+// ─── Viewer side ──────────────────────────────────────────────────────────────
+class QualitySelector {
+  /** @param {string} storageKey  localStorage key holding the viewer's choice */
+  constructor (storageKey) {
+    this.storageKey = storageKey;
+    this.choice   = localStorage.getItem(storageKey) || 'auto';
+    if (!QUALITY_CHOICES.includes(this.choice)) this.choice = 'auto';
+    this.status   = null;   // the host's last message
+    this.onstatus = null;   // (status) => void
+    this._channel = null;
+  }
+
+  /** Hooks the host's quality data channel (RTCPeerConnection.ondatachannel). */
+  attachChannel (channel) {
+    if (channel.label !== 'quality') return;
+    this._channel = channel;
+    this.status   = null;
+    channel.onopen    = () => this._sendChoice();
+    channel.onmessage = e => {
+      try { this.status = JSON.parse(e.data); } catch (_) { return; }
+      if (this.onstatus) this.onstatus(this.status);
+    };
+    if (channel.readyState === 'open') this._sendChoice();
+  }
+
+  /** 'auto' or a profile id; remembered for the next session. */
+  set (choice) {
+    if (!QUALITY_CHOICES.includes(choice)) return;
+    this.choice = choice;
+    localStorage.setItem(this.storageKey, choice);
+    this._sendChoice();
+  }
+
+  _sendChoice () {
+    const ch = this._channel;
+    if (ch && ch.readyState === 'open') {
+      try { ch.send(JSON.stringify({ choice: this.choice })); } catch (_) {}
+    }
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.STREAM_PROFILES = STREAM_PROFILES;
+  window.QualityTuner    = QualityTuner;
+  window.QualitySelector = QualitySelector;
+}
@@ -0,0 +1,167 @@
+/**
+ * Consoles
+ *
+ * Every room runs one system. EmulatorJS talks to all of its cores through
+ * the libretro RetroPad, so joypad:input keeps one bitmask layout for every
+ * console – bit n is simulateInput() index n:
+ *
+ *   0=B  1=Y  2=SELECT  3=START  4=UP  5=DOWN  6=LEFT  7=RIGHT  8=A  9=X  10=L  11=R
+ *
+ * A system lists which of those RetroPad positions its pad has (`buttons`,
+ * whose bits make up its `mask`) and what the console itself calls them
+ * (`labels`), e.g. the Mega Drive's C button sits on RetroPad A. `pad` picks
+ * the touch layout: 'diamond' (four face buttons) or 'pair' (two).
+ *
+ * detect() sorts a ROM image into a system by file extension, falling back to
+ * header signatures for the ambiguous .bin / .rom dumps.
+ *
+ * Shared by the pages (window.Systems) and server.js (require), so the
+ * library, the room and every controller agree on the same table.
+ */
+
+'use strict';
+
+const PAD_BITS = {
+  B: 0, Y: 1, SELECT: 2, START: 3,
+  UP: 4, DOWN: 5, LEFT: 6, RIGHT: 7,
+  A: 8, X: 9, L: 10, R: 11,
+};
+
+const DPAD = ['UP', 'DOWN', 'LEFT', 'RIGHT'];
+
+const _bits = names => names.reduce((m, btn) => m | (1 << PAD_BITS[btn]), 0);
+
+// Split-buttons sharing (room settings.share): the part of the pad each person
+// on a shared slot drives. START and SELECT work from either half.
+const PAD_PARTS = {
+  all:    0xFFF,
+  move:   _bits([...DPAD, 'START', 'SELECT']),
+  action: _bits(['B', 'Y', 'A', 'X', 'L', 'R', 'START', 'SELECT']),
+};
+
+const SYSTEMS = {
+  snes: {
+    name: 'Super Nintendo', short: 'SNES', core: 'snes', players: 4,   // MultiTap
+    extensions: ['.smc', '.sfc', '.swc', '.fig'],
+    buttons: ['B', 'Y', 'SELECT', 'START', ...DPAD, 'A', 'X', 'L', 'R'],
+    labels: {},
+    pad: 'diamond',
+    peripherals: true,   // SNES Mouse / Super Scope / Justifier (js/peripherals.js)
+  },
+  nes: {
+    name: 'Nintendo (NES)', short: 'NES', core: 'nes', players: 2,
+    extensions: ['.nes'],
+    buttons: ['B', 'SELECT', 'START', ...DPAD, 'A'],
+    labels: {},
+    pad: 'pair',
+  },
+  gb: {
+    name: 'Game Boy / Color', short: 'GB', core: 'gb', players: 1,
+    extensions: ['.gb', '.gbc'],
+    buttons: ['B', 'SELECT', 'START', ...DPAD, 'A'],
+    labels: {},
+    pad: 'pair',
+  },
+  gba: {
+    name: 'Game Boy Advance', short: 'GBA', core: 'gba', players: 1,
+    extensions: ['.gba'],
+    buttons: ['B', 'SELECT', 'START', ...DPAD, 'A', 'L', 'R'],
+    labels: {},
+    pad: 'pair',
+  },
+  segaMD: {
+    name: 'Mega Drive', short: 'MD', core: 'segaMD', players: 2,
+    extensions: ['.md', '.gen'],
+    buttons: ['B', 'Y', 'SELECT', 'START', ...DPAD, 'A', 'X', 'L', 'R'],
+    labels: { Y: 'A', B: 'B', A: 'C', L: 'X', X: 'Y', R: 'Z', SELECT: 'MODE' },
+    pad: 'diamond',
+  },
+  segaMS: {
+    name: 'Master System', short: 'SMS', core: 'segaMS', players: 2,
+    extensions: ['.sms'],
+    buttons: ['B', 'START', ...DPAD, 'A'],
+    labels: { B: '1', A: '2', START: 'PAUSE' },
+    pad: 'pair',
+  },
+  segaGG: {
+    name: 'Game Gear', short: 'GG', core: 'segaGG', players: 1,
+    extensions: ['.gg'],
+    buttons: ['B', 'START', ...DPAD, 'A'],
+    labels: { B: '1', A: '2' },
+    pad: 'pair',
+  },
+};
+
+const DEFAULT_SYSTEM = 'snes';
+
+// Dumps that may hold several systems; their header decides
+const AMBIGUOUS_EXTS = ['.bin', '.rom'];
+
+for (const [id, sys] of Object.entries(SYSTEMS)) {
+  sys.id   = id;
+  sys.mask = _bits(sys.buttons);
+}
+
+// ── Header signatures ───────────────────────────────────────────────────────
+function _ascii (bytes, at, len) {
+  return String.fromCharCode(...bytes.subarray(at, at + len));
+}
+
+// Sega 8-bit header: "TMR SEGA" at one of three offsets, region in the last
+// byte's high nibble (5-7 = Game Gear)
+function _tmrSega (bytes) {
+  for (const at of [0x7FF0, 0x3FF0, 0x1FF0]) {
+    if (bytes.length >= at + 16 && _ascii(bytes, at, 8) === 'TMR SEGA') return bytes[at + 15] >> 4;
+  }
+  return null;
+}
+
+const SIGNATURES = [
+  ['nes',    b => b.length >= 16 && _ascii(b, 0, 4) === 'NES\x1A'],
+  ['gba',    b => b.length >= 0xC0 && b[0xB2] === 0x96 && b[3] === 0xEA],
+  ['gb',     b => b.length >= 0x150 && b[0x104] === 0xCE && b[0x105] === 0xED && b[0x106] === 0x66],
+  ['segaMD', b => b.length >= 0x200 && _ascii(b, 0x100, 16).trim().startsWith('SEGA')],
+  ['segaGG', b => [5, 6, 7].includes(_tmrSega(b))],
+  ['segaMS', b => _tmrSega(b) !== null],
+];
+
+const Systems = {
+  DEFAULT:  DEFAULT_SYSTEM,
+  PAD_BITS,
+  PARTS:    PAD_PARTS,
+  all:      SYSTEMS,
+  /** Every file extension the library accepts. */
+  EXTENSIONS: [...new Set([...Object.values(SYSTEMS).flatMap(s => s.extensions), ...AMBIGUOUS_EXTS])],
+
+  /** @returns {object} the system, or the default one for an unknown id */
+  get (id) {
+    return SYSTEMS[id] || SYSTEMS[DEFAULT_SYSTEM];
+  },
+
+  has (id) {
+    return Object.prototype.hasOwnProperty.call(SYSTEMS, id);
+  },
+
+  /** What the console prints on the RetroPad position `btn`. */
+  label (id, btn) {
+    return Systems.get(id).labels[btn] || btn;
+  },
+
+  /**
+   * @param {Uint8Array} bytes  the ROM image (a Buffer works too)
+   * @param {string} filename
+   * @returns {string|null} system id, or null for an unknown extension
+   */
+  detect (bytes, filename) {
+    const ext = (/\.[^.]+$/.exec(String(filename || '').toLowerCase()) || [''])[0];
+    const byExt = Object.values(SYSTEMS).find(s => s.extensions.includes(ext));
+    if (byExt) return byExt.id;
+    if (!AMBIGUOUS_EXTS.includes(ext)) return null;
+    const image = bytes.length % 1024 === 512 ? bytes.subarray(512) : bytes;   // copier header
+    const hit = SIGNATURES.find(([, test]) => test(image));
+    return hit ? hit[0] : DEFAULT_SYSTEM;   // plain .bin / .rom dumps have always been SNES
+  },
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Systems;
+if (typeof window !== 'undefined') window.Systems = Systems;
@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+/**
+ * npm run setup — checks what offline / LAN play needs.
+ *
+ * Verifies that EJS_DATA_DIR (default ./emulatorjs) holds EmulatorJS's data
+ * folder and that ICE_SERVERS parses. Exits with 1 when something is missing,
+ * so it can gate a LAN-party deploy.
+ */
+
+'use strict';
+
+const path = require('path');
+const { EJS_REQUIRED, checkEmulatorJs, parseIceServers } = require('../lib/offline');
+
+const dir = path.resolve(process.env.EJS_DATA_DIR || path.join(__dirname, '..', 'emulatorjs'));
+let ok = true;
+
+// ── EmulatorJS ──────────────────────────────────────────────────────────────
+const ejs = checkEmulatorJs(dir);
+console.log(`EmulatorJS data: ${dir}`);
+for (const choices of EJS_REQUIRED) {
+  const hit = choices.find(f => ejs.found.includes(f));
+  console.log(`  ${hit ? '✔' : '✘'} ${hit || choices.join(' | ')}`);
+}
+if (!ejs.ok) {
+  ok = false;
+  console.log(`
+  Missing files: the pages will load EmulatorJS from its CDN, which needs
+  internet. To play offline, download an EmulatorJS release
+  (https://github.com/EmulatorJS/EmulatorJS/releases) and copy the contents of
+  its data/ folder into ${dir} (or point EJS_DATA_DIR at it).`);
+}
+
+// ── WebRTC ──────────────────────────────────────────────────────────────────
+try {
+  const servers = parseIceServers(process.env.ICE_SERVERS);
+  console.log('\nICE servers:');
+  if (!servers.length) console.log('  none — host candidates only (LAN)');
+  for (const s of servers) console.log(`  ${[].concat(s.urls).join(' ')}${s.username ? ' (with credentials)' : ''}`);
+  if (servers.some(s => [].concat(s.urls).some(u => /google\.com/.test(u)))) {
+    console.log('  note: public STUN needs internet; use ICE_SERVERS=none on an offline LAN');
+  }
+} catch (e) {
+  ok = false;
+  console.log(`\nICE_SERVERS is invalid: ${e.message}`);
+}
+
+console.log(ok ? '\nReady for offline play.' : '');
+process.exitCode = ok ? 0 : 1;
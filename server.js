@@ -11,167 +11,2277 @@ const { Server } = require('socket.io');
 const multer    = require('multer');
 const path      = require('path');
 const fs        = require('fs');
+const crypto    = require('crypto');
+const { stripCopierHeader } = require('./lib/snes-rom');
+const { identifyRom, RomError } = require('./lib/rom-info');
+const Systems   = require('./public/js/systems');
+const { extractSingle, ZipError } = require('./lib/zip');
+const { applyPatch, PatchError } = require('./lib/rom-patch');
+const { ChatLog, cleanChatText, parseChatCommand, findMentions } = require('./lib/chat');
+const { parseCrowdCommand, tallyVotes, PRESS_MS, GAP_MS } = require('./lib/crowd-play');
+const { RateLimiter } = require('./lib/rate-limit');
+const { EventGuard } = require('./lib/event-guard');
+const { Registry, Meter } = require('./lib/metrics');
+const { createRoomStore } = require('./lib/room-store');
+const { EJS_CDN_URL, checkEmulatorJs, parseIceServers } = require('./lib/offline');
 
 // ─── Configuration ────────────────────────────────────────────────────────────
 const PORT      = process.env.PORT || 3000;
-const MAX_PLAYERS = 4;          // SNES supports up to 4 via MultiTap
+const MAX_PLAYERS = 4;          // most of any system (SNES MultiTap); see roomMaxPlayers()
+// Spectators watch the stream and chat without a joypad slot (0 = unlimited)
+const MAX_SPECTATORS = Number(process.env.MAX_SPECTATORS) || 0;
+// How long a dropped player's slot is held for them to resume with their token
+const RESUME_GRACE_MS = Number(process.env.RESUME_GRACE_MS) || 60_000;
 const ROM_DIR   = path.join(__dirname, 'roms');
+const ROM_EXTS  = Systems.EXTENSIONS;
+const MAX_ROM_SIZE = 8 * 1024 * 1024;
+const DATA_DIR  = process.env.DATA_DIR || path.join(__dirname, 'data');
+const STATE_DIR = path.join(DATA_DIR, 'states');    // save states, one dir per ROM
+const STATE_SLOTS = 10;         // slots 0-9; slot 0 is the automatic checkpoint
+const CHECKPOINT_SLOT = 0;
+const MAX_STATE_SIZE = 4 * 1024 * 1024;
+const SRAM_DIR  = path.join(DATA_DIR, 'sram');      // battery saves, one dir per ROM
+const MAX_SRAM_SIZE = 512 * 1024;                   // largest SNES carts use 128 KB
+const LIBRARY_FILE = path.join(DATA_DIR, 'library.json');   // names, tags, patch origin
+const MOVIE_DIR = path.join(DATA_DIR, 'movies');    // recorded input logs
+const MAX_MOVIE_EVENTS = 500_000;                   // recording stops past this
+const MEDIA_DIR = path.join(DATA_DIR, 'media');     // gameplay clips and screenshots
+const MAX_CLIP_SIZE = 48 * 1024 * 1024;             // a minute of canvas video is far less
+const MAX_SHOT_SIZE = 4 * 1024 * 1024;
+// Clips and screenshots kept per room and ROM; older ones are deleted
+const MEDIA_KEEP = Number(process.env.MEDIA_KEEP) || 50;
+const MEDIA_CAPTURE_MS = 60_000;   // for the emulator page to record and upload a capture
+const CHAT_HISTORY = 100;                           // messages replayed to joiners
+const CHAT_RATE = { burst: 5, perSecond: 1 };       // per socket
+const AUDIT_FILE = path.join(DATA_DIR, 'audit.log'); // rejected socket events (JSON lines)
+const MAX_AUDIT_LOG = 5 * 1024 * 1024;              // rotated to audit.log.1 past this
+// Where rooms are kept across restarts: 'file' (DATA_DIR/rooms.json),
+// 'sqlite' (DATA_DIR/rooms.sqlite, Node 22.5+) or 'memory' (lost on exit)
+const ROOM_STORE = process.env.ROOM_STORE || 'file';
+// Seats restored after a restart are held this long for their owners to return
+const ROOM_RESTORE_GRACE_MS = Number(process.env.ROOM_RESTORE_GRACE_MS) || 5 * 60_000;
+// Expiry policy: empty rooms (no members, no held seats) are kept for
+// ROOM_EMPTY_TTL_MS (0 = deleted at once); the sweep runs every ROOM_SWEEP_MS
+const ROOM_EMPTY_TTL_MS = Number(process.env.ROOM_EMPTY_TTL_MS) || 0;
+const ROOM_SWEEP_MS     = Number(process.env.ROOM_SWEEP_MS) || 30_000;
+// EmulatorJS data folder served at /emulatorjs/ (see `npm run setup`); the
+// pages fall back to the CDN while it has no loader.js
+const EJS_DATA_DIR = path.resolve(process.env.EJS_DATA_DIR || path.join(__dirname, 'emulatorjs'));
+// WebRTC ICE servers handed to the pages; 'none' = host candidates only (LAN)
+const ICE_SERVERS = parseIceServers(process.env.ICE_SERVERS);
+// Emulator host migration: the emulator page checkpoints the game to save slot
+// 0 every CHECKPOINT_INTERVAL_S (0 = off). When it leaves, the emulator role is
+// offered to the other members one at a time, HANDOVER_DELAY_MS later so a
+// host that only dropped can come back first.
+const CHECKPOINT_INTERVAL_S = Number(process.env.CHECKPOINT_INTERVAL_S ?? 30) || 0;
+const HANDOVER_DELAY_MS = Number(process.env.HANDOVER_DELAY_MS) || 5_000;
+const HANDOVER_OFFER_MS = 20_000;   // to answer an offer
+const HANDOVER_JOIN_MS  = 30_000;   // for the accepting page to join as the emulator
+// Play queue: how joypad slots change hands when more people want to play than
+// the console has ports (room settings.rotation, see updateQueue()).
+const ROTATION_RULES   = ['off', 'manual', 'timer', 'life'];
+const ROTATION_SECONDS = { min: 30, max: 3600, default: 300 };   // timer rule: length of a turn
+// Chat plays: chat commands drive one slot (room settings.crowd, see crowdCommand()).
+const CROWD_MODES    = ['off', 'anarchy', 'democracy'];
+const CROWD_SECONDS  = { min: 3, max: 60, default: 10 };   // democracy: length of a vote
+const CROWD_COOLDOWN = { min: 0, max: 60, default: 2 };    // seconds between one member's commands
+// Reverse proxy in front of the server, as Express 'trust proxy': 'true', a hop
+// count or a list of addresses / subnets. Unset = X-Forwarded-For is ignored.
+const TRUST_PROXY = process.env.TRUST_PROXY;
+// Token for /admin. Without ADMIN_TOKEN a random one is printed at startup.
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || crypto.randomBytes(12).toString('hex');
 
-if (!fs.existsSync(ROM_DIR)) fs.mkdirSync(ROM_DIR, { recursive: true });
+for (const dir of [ROM_DIR, STATE_DIR, SRAM_DIR, MOVIE_DIR, MEDIA_DIR]) {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+}
+
+// ─── Upload middleware ─────────────────────────────────────────────────────────
+// Kept in memory: ROMs are validated (and unzipped / patched) before anything
+// is written to ROM_DIR
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ROM_SIZE },            // 8 MB max
+  fileFilter: (_, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    cb(null, [...ROM_EXTS, '.zip'].includes(ext));
+  }
+});
+const patchUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ROM_SIZE },
+  fileFilter: (_, file, cb) => {
+    cb(null, ['.ips', '.bps'].includes(path.extname(file.originalname).toLowerCase()));
+  }
+});
+
+// ─── Express + HTTP + Socket.IO ────────────────────────────────────────────────
+const app    = express();
+if (TRUST_PROXY) app.set('trust proxy', TRUST_PROXY === 'true' || (/^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY));
+const server = http.createServer(app);
+const io     = new Server(server, {
+  cors: { origin: '*' },
+  pingTimeout:  20000,   // 20 s — faster dead-socket detection
+  pingInterval: 10000,   // heartbeat every 10 s
+  // Disable per-message deflate: compression adds latency to small joypad
+  // packets and the gains are negligible for tiny bitmask payloads.
+  perMessageDeflate: false,
+  // Prefer WebSocket from the start; skip long-polling upgrade overhead.
+  transports: ['websocket', 'polling'],
+  // Save states travel over the socket as binary (state + PNG thumbnail)
+  maxHttpBufferSize: MAX_STATE_SIZE + 512 * 1024,
+});
+
+app.use(express.static(path.join(__dirname, 'public')));
+app.use('/emulatorjs', express.static(EJS_DATA_DIR));
+app.use(express.json());
+
+// What the pages need to know before starting EmulatorJS or WebRTC
+app.get('/api/config', (_, res) => {
+  const local = fs.existsSync(path.join(EJS_DATA_DIR, 'loader.js'));
+  res.json({
+    emulatorjs: { path: local ? '/emulatorjs/' : (process.env.EJS_CDN_URL || EJS_CDN_URL), local },
+    iceServers: ICE_SERVERS,
+    checkpointSeconds: CHECKPOINT_INTERVAL_S,
+  });
+});
+
+// ─── Metrics (Prometheus) ─────────────────────────────────────────────────────
+// Gauges are computed from the room map when /metrics is scraped.
+const metrics = new Registry();
+const joypadMeter = new Meter();
+
+metrics.gauge('snes_rooms', 'Active rooms', () => rooms.size);
+metrics.gauge('snes_players', 'Room members by role (away = seat held for a reconnect)', () => {
+  const byRole = { emulator: 0, controller: 0, viewer: 0, spectator: 0, away: 0 };
+  for (const room of rooms.values()) {
+    for (const p of room.players.values()) byRole[p.role] = (byRole[p.role] || 0) + 1;
+    byRole.away += room.reserved.size;
+  }
+  return Object.entries(byRole).map(([role, value]) => ({ labels: { role }, value }));
+});
+metrics.gauge('snes_sockets_connected', 'Open Socket.IO connections', () => io.engine.clientsCount);
+const joypadEvents = metrics.counter('snes_joypad_events_total', 'joypad:input messages relayed');
+metrics.gauge('snes_joypad_events_per_second', 'joypad:input messages per second, last 10 s', () => joypadMeter.rate());
+const webrtcSignals = metrics.counter('snes_webrtc_signals_total', 'WebRTC signalling messages relayed, by type');
+const handovers     = metrics.counter('snes_emulator_handovers_total', 'Emulator host migrations, by outcome (taken / none)');
+const uploadBytes = metrics.histogram('snes_upload_bytes', 'Size of uploaded files, by kind',
+  [16e3, 64e3, 256e3, 1e6, 2e6, 4e6, 8e6, 16e6]);
+const pingRtt = metrics.histogram('snes_ping_rtt_seconds', 'Round-trip time reported by clients through perf:ping',
+  [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5]);
+const pressToPhoton = metrics.histogram('snes_press_to_photon_seconds', 'Press-to-photon latency reported by viewers through perf:latency',
+  [0.025, 0.05, 0.075, 0.1, 0.15, 0.2, 0.3, 0.5, 1]);
+metrics.counter('snes_socket_events_rejected_total', 'Socket events dropped by validation', () => guard.rejected);
+metrics.gauge('process_resident_memory_bytes', 'Resident memory size', () => process.memoryUsage().rss);
+metrics.gauge('process_start_time_seconds', 'Start time since the Unix epoch', () => Math.round(Date.now() / 1000 - process.uptime()));
+
+app.get('/metrics', (_, res) => {
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+// List uploaded ROMs, grouped by system (?tag= / ?system= filter)
+app.get('/api/roms', (req, res) => {
+  const tag    = normalizeTag(req.query.tag);
+  const system = String(req.query.system || '');
+  res.json(getRomList().filter(r => (!tag || r.tags.includes(tag)) && (!system || r.system === system)));
+});
+
+// One ROM's header metadata, by content id (SHA-1)
+app.get('/api/roms/:id', (req, res) => {
+  const rom = findRom(req.params.id);
+  if (!rom) return res.status(404).json({ error: 'ROM not found.' });
+  res.json(rom);
+});
+
+// Rename / retag: { displayName?, tags? } – an empty displayName restores the
+// name derived from the file
+app.patch('/api/roms/:id', romEditor, (req, res) => {
+  const rom = findRom(req.params.id);
+  if (!rom) return res.status(404).json({ error: 'ROM not found.' });
+  const { displayName, tags } = req.body || {};
+  const entry = library[rom.id] || {};
+  if (displayName !== undefined) {
+    const name = String(displayName).trim().slice(0, 80);
+    if (name) entry.displayName = name;
+    else delete entry.displayName;
+  }
+  if (tags !== undefined) {
+    const list = Array.isArray(tags) ? tags : String(tags).split(',');
+    entry.tags = [...new Set(list.map(normalizeTag).filter(Boolean))].slice(0, MAX_TAGS);
+  }
+  library[rom.id] = entry;
+  saveLibrary();
+  io.emit('rom:list', getRomList());
+  res.json(findRom(rom.id));
+});
+
+// Removes every file with this content (duplicates included). Save states and
+// SRAM are keyed by the same id and are kept for a later re-upload.
+app.delete('/api/roms/:id', romEditor, (req, res) => {
+  const rom = findRom(req.params.id);
+  if (!rom) return res.status(404).json({ error: 'ROM not found.' });
+  for (const f of romFiles()) {
+    let info;
+    try { info = romInfo(f); } catch (_) { continue; }
+    if (info.id !== rom.id) continue;
+    fs.rmSync(path.join(ROM_DIR, f), { force: true });
+    romCache.delete(f);
+  }
+  delete library[rom.id];
+  saveLibrary();
+  io.emit('rom:list', getRomList());
+  res.json({ ok: true });
+});
+
+// Apply an IPS/BPS patch to a library ROM, storing the result as a new entry.
+// multipart/form-data: patch (file), name, sourceCrc (optional, IPS only)
+app.post('/api/roms/:id/patch', patchUpload.single('patch'), (req, res) => {
+  const base = findRom(req.params.id);
+  if (!base) return res.status(404).json({ error: 'ROM not found.' });
+  if (!req.file) return res.status(400).json({ error: 'Missing "patch" file (.ips or .bps).' });
+  uploadBytes.observe({ kind: 'patch' }, req.file.size);
+
+  const patchName = path.basename(req.file.originalname, path.extname(req.file.originalname));
+  const name = String(req.body.name || '').trim().slice(0, 80) || `${base.displayName} (${patchName})`;
+  try {
+    const patched = patchRom(fs.readFileSync(path.join(ROM_DIR, base.name)), base.name, req.file.buffer, req.body.sourceCrc);
+    const ext = base.system === 'snes' ? '.sfc' : path.extname(base.name);
+    res.json(addRom(patched, `${name}${ext}`, { displayName: name, tags: base.tags, patchedFrom: base.id }, tokenDigest(req)));
+  } catch (e) {
+    if (isBadInput(e)) return res.status(400).json({ error: e.message });
+    throw e;
+  }
+});
+
+// Serve ROM files
+app.use('/roms', express.static(ROM_DIR));
+
+// Upload a ROM, or a .zip holding exactly one ROM – rejected unless it parses
+// as an image of one of the systems in public/js/systems.js
+app.post('/api/upload', upload.single('rom'), (req, res) => {
+  if (!req.file) return res.status(400).json({ error: 'Invalid file.' });
+  uploadBytes.observe({ kind: 'rom' }, req.file.size);
+  let { buffer, originalname } = req.file;
+  try {
+    if (path.extname(originalname).toLowerCase() === '.zip') {
+      ({ name: originalname, data: buffer } = extractSingle(buffer, ROM_EXTS, MAX_ROM_SIZE));
+    }
+    res.json(addRom(buffer, originalname, undefined, tokenDigest(req)));
+  } catch (e) {
+    if (isBadInput(e)) return res.status(400).json({ error: e.message });
+    throw e;
+  }
+});
+
+// Invalid ROM / archive / patch supplied by the client → 400
+function isBadInput (e) {
+  return e instanceof RomError || e instanceof ZipError || e instanceof PatchError;
+}
+
+/**
+ * Stores a validated ROM image. An identical image already in the library is
+ * returned (with duplicate: true) instead of storing a second copy.
+ * @param {object} [meta]      library metadata for a new entry (displayName, tags, patchedFrom)
+ * @param {string} [uploader]  tokenDigest() of the request, allowed to edit it later
+ */
+function addRom (data, originalName, meta, uploader) {
+  const info = identifyRom(data, originalName);
+  const existing = findRom(info.id);
+  if (existing) return { ...existing, duplicate: true };
+
+  const filename = `${Date.now()}_${path.basename(originalName)}`;
+  fs.writeFileSync(path.join(ROM_DIR, filename), data);
+  if (meta || uploader) {
+    library[info.id] = { ...meta, ...(uploader && { uploader }) };
+    saveLibrary();
+  }
+  io.emit('rom:list', getRomList());   // broadcast updated list
+  return findRom(info.id);
+}
+
+/**
+ * IPS patches don't say whether they target a headered or headerless dump,
+ * so try the headerless image first and keep the first result that parses;
+ * BPS patches pick the right one through their source CRC.
+ */
+function patchRom (file, filename, patch, sourceCrc) {
+  const image = stripCopierHeader(file);
+  const sources = image.length === file.length ? [image] : [image, file];
+  let error;
+  for (const source of sources) {
+    try {
+      const patched = applyPatch(source, patch, sourceCrc, MAX_ROM_SIZE);
+      identifyRom(patched, filename);
+      return patched;
+    } catch (e) {
+      if (!isBadInput(e)) throw e;
+      error = error || e;
+    }
+  }
+  throw error;
+}
+
+function getDisplayName (filename) {
+  return filename
+    .replace(/^(\d+_)+/, '')       // strip one or more timestamp prefixes
+    .replace(/\.[^.]+$/, '')       // strip file extension
+    .replace(/\s*\(.*?\)\s*/g, '') // strip region tags like (USA)
+    .trim();
+}
+
+// Parsed headers (or the parse error), keyed by filename and invalidated
+// when the file changes
+const romCache = new Map();
+
+function romInfo (filename) {
+  const file = path.join(ROM_DIR, filename);
+  const { size, mtimeMs } = fs.statSync(file);
+  let cached = romCache.get(filename);
+  if (!cached || cached.size !== size || cached.mtimeMs !== mtimeMs) {
+    cached = { size, mtimeMs };
+    try {
+      cached.info = identifyRom(fs.readFileSync(file), filename);
+    } catch (e) {
+      if (!(e instanceof RomError)) throw e;
+      cached.error = e;
+    }
+    romCache.set(filename, cached);
+  }
+  if (cached.error) throw cached.error;
+  return cached.info;
+}
+
+// ─── ROM library metadata ─────────────────────────────────────────────────────
+// { [romId]: { displayName?, tags?, patchedFrom?, uploader? } } – survives
+// renames of the underlying file because it is keyed by content. uploader is a
+// digest of the X-Room-Token the ROM was uploaded with (see mayEditRom()).
+const MAX_TAGS = 10;
+const library = fs.existsSync(LIBRARY_FILE) ? JSON.parse(fs.readFileSync(LIBRARY_FILE, 'utf8')) : {};
+
+function saveLibrary () {
+  fs.writeFileSync(LIBRARY_FILE, JSON.stringify(library, null, 2));
+}
+
+function normalizeTag (tag) {
+  return String(tag || '').trim().toLowerCase().replace(/\s+/g, '-').slice(0, 24);
+}
+
+function tokenDigest (req) {
+  const token = req.get('x-room-token');
+  return token ? crypto.createHash('sha256').update(token).digest('hex') : null;
+}
+
+// Renames, retags and deletes: whoever uploaded the ROM, or the host of a room
+// running it (the admin too, see adminOr())
+function mayEditRom (req, romId) {
+  const uploader = library[romId]?.uploader;
+  return !!uploader && uploader === tokenDigest(req) || requestHostsRom(req, romId);
+}
+
+// Middleware for /api/roms/:id edits
+function romEditor (req, res, next) {
+  adminOr(req => mayEditRom(req, req.params.id),
+    'Only the uploader, the host of a room playing it or the admin can change this ROM.')(req, res, next);
+}
+
+function romFiles () {
+  return fs.readdirSync(ROM_DIR).filter(f => ROM_EXTS.includes(path.extname(f).toLowerCase()));
+}
+
+function findRom (id) {
+  return getRomList().find(r => r.id === id) || null;
+}
+
+function getRomList () {
+  const all = [];
+  for (const f of romFiles()) {
+    let info;
+    try {
+      info = romInfo(f);
+    } catch (_) {
+      continue;                   // not a ROM we recognise (dropped in by hand)
+    }
+    const meta = library[info.id] || {};
+    all.push({
+      ...info,
+      name:        f,
+      displayName: meta.displayName || getDisplayName(f),
+      tags:        meta.tags || [],
+      patchedFrom: meta.patchedFrom || null,
+      url:         `/roms/${f}`,
+    });
+  }
+
+  // Deduplicate by content – prefer files without a timestamp prefix
+  const seen = new Map();
+  all.forEach(r => {
+    const existing = seen.get(r.id);
+    const hasTimestamp = /^\d{10,}_/.test(r.name);
+    if (!existing || (!hasTimestamp && /^\d{10,}_/.test(existing.name))) {
+      seen.set(r.id, r);
+    }
+  });
+  const order = Object.keys(Systems.all);
+  return [...seen.values()].sort((a, b) =>
+    order.indexOf(a.system) - order.indexOf(b.system) || a.displayName.localeCompare(b.displayName));
+}
+
+// ─── Save states ──────────────────────────────────────────────────────────────
+/**
+ * States are keyed by ROM (SHA-1 of the headerless ROM image) and slot, so a
+ * run can be continued from any room or host machine:
+ *   data/states/<romHash>/<slot>.state   raw EmulatorJS state
+ *   data/states/<romHash>/<slot>.png     optional thumbnail
+ *   data/states/<romHash>/<slot>.json    { romHash, romName, slot, roomId, savedBy, savedAt, size, thumbnail }
+ */
+const stateUpload = multer({
+  storage: multer.memoryStorage(),
+  limits:  { fileSize: MAX_STATE_SIZE },
+}).fields([{ name: 'state', maxCount: 1 }, { name: 'thumbnail', maxCount: 1 }]);
+
+function validRomHash (hash) {
+  return /^[a-f0-9]{40}$/.test(String(hash || ''));
+}
+
+function validStateSlot (slot) {
+  slot = Number(slot);
+  return Number.isInteger(slot) && slot >= 0 && slot < STATE_SLOTS ? slot : null;
+}
+
+function statePath (romHash, slot, ext) {
+  return path.join(STATE_DIR, romHash, `${slot}.${ext}`);
+}
+
+function listStates (romHash) {
+  const dir = path.join(STATE_DIR, romHash);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith('.json'))
+    .map(f => JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8')))
+    .sort((a, b) => a.slot - b.slot);
+}
+
+function readState (romHash, slot) {
+  const file = statePath(romHash, slot, 'state');
+  if (!fs.existsSync(file)) return null;
+  return {
+    meta:  JSON.parse(fs.readFileSync(statePath(romHash, slot, 'json'), 'utf8')),
+    state: fs.readFileSync(file),
+  };
+}
+
+function writeState ({ romHash, romName, slot, roomId, savedBy, state, thumbnail }) {
+  fs.mkdirSync(path.join(STATE_DIR, romHash), { recursive: true });
+  fs.writeFileSync(statePath(romHash, slot, 'state'), state);
+  if (thumbnail && thumbnail.length) fs.writeFileSync(statePath(romHash, slot, 'png'), thumbnail);
+  else fs.rmSync(statePath(romHash, slot, 'png'), { force: true });
+  const meta = {
+    romHash,
+    romName:   String(romName || '').slice(0, 80),
+    slot,
+    roomId:    roomId ? String(roomId).slice(0, 32) : null,
+    savedBy:   String(savedBy || 'Unknown').slice(0, 20),
+    savedAt:   Date.now(),
+    size:      state.length,
+    thumbnail: !!(thumbnail && thumbnail.length),
+  };
+  fs.writeFileSync(statePath(romHash, slot, 'json'), JSON.stringify(meta));
+  io.emit('states:updated', { romHash });
+  return meta;
+}
+
+function deleteState (romHash, slot) {
+  const existed = fs.existsSync(statePath(romHash, slot, 'json'));
+  for (const ext of ['state', 'png', 'json']) fs.rmSync(statePath(romHash, slot, ext), { force: true });
+  if (existed) io.emit('states:updated', { romHash });
+  return existed;
+}
+
+// Validates :romHash / :slot route params for every save-state route
+app.param('romHash', (req, res, next, romHash) => {
+  if (!validRomHash(romHash)) return res.status(400).json({ error: 'Invalid ROM hash.' });
+  next();
+});
+app.param('slot', (req, res, next, slot) => {
+  req.stateSlot = validStateSlot(slot);
+  if (req.stateSlot === null) return res.status(400).json({ error: `Slot must be 0-${STATE_SLOTS - 1}.` });
+  next();
+});
+
+app.get('/api/states/:romHash', (req, res) => {
+  res.json(listStates(req.params.romHash));
+});
+
+app.get('/api/states/:romHash/:slot', (req, res) => {
+  const file = statePath(req.params.romHash, req.stateSlot, 'state');
+  if (!fs.existsSync(file)) return res.status(404).json({ error: 'No save state in this slot.' });
+  res.download(file, `${req.params.romHash.slice(0, 8)}-slot${req.stateSlot}.state`);
+});
+
+app.get('/api/states/:romHash/:slot/thumbnail', (req, res) => {
+  const file = statePath(req.params.romHash, req.stateSlot, 'png');
+  if (!fs.existsSync(file)) return res.status(404).end();
+  res.sendFile(file);
+});
+
+// Host or emulator page of a room running the ROM; the state is credited to
+// that room and member. Slot 0 only comes in through state:checkpoint.
+// multipart/form-data: state (file), thumbnail (PNG file, optional), romName
+app.post('/api/states/:romHash/:slot', (req, res, next) => {
+  if (req.stateSlot === CHECKPOINT_SLOT) return res.status(403).json({ error: 'The checkpoint slot is written by the emulator page.' });
+  req.stateWriter = romRunner(req, req.params.romHash);
+  if (!req.stateWriter) {
+    return res.status(403).json({ error: 'Only the host or emulator of a room running this game can save its states.' });
+  }
+  next();
+}, stateUpload, (req, res) => {
+  const state = req.files?.state?.[0];
+  if (!state) return res.status(400).json({ error: 'Missing "state" file.' });
+  uploadBytes.observe({ kind: 'state' }, state.size);
+  res.json(writeState({
+    romHash:   req.params.romHash,
+    slot:      req.stateSlot,
+    romName:   req.body.romName,
+    roomId:    req.stateWriter.roomId,
+    savedBy:   req.stateWriter.member.name,
+    state:     state.buffer,
+    thumbnail: req.files.thumbnail?.[0]?.buffer,
+  }));
+});
+
+// Host of a room running the ROM, or the admin; the checkpoint slot is the
+// server's own
+app.delete('/api/states/:romHash/:slot', adminOr(req => requestHostsRom(req, req.params.romHash),
+  'Only the host of a room running this game can delete its save states.'), (req, res) => {
+  if (req.stateSlot === CHECKPOINT_SLOT) return res.status(403).json({ error: 'The checkpoint slot can\'t be deleted.' });
+  if (!deleteState(req.params.romHash, req.stateSlot)) {
+    return res.status(404).json({ error: 'No save state in this slot.' });
+  }
+  res.json({ ok: true });
+});
+
+// ─── Battery SRAM ─────────────────────────────────────────────────────────────
+/**
+ * In-cartridge saves, keyed by ROM hash and a save profile so several people
+ * can keep separate files for the same game:
+ *   data/sram/<romHash>/<profile>.srm    raw SRAM
+ *   data/sram/<romHash>/<profile>.json   { romHash, romName, profile, revision, roomId, savedBy, savedAt, size }
+ *
+ * Writes are optimistic: the host sends the revision it restored from and the
+ * upload is refused with 409 if another host has written since, unless the
+ * client explicitly forces the overwrite.
+ */
+const sramUpload = multer({
+  storage: multer.memoryStorage(),
+  limits:  { fileSize: MAX_SRAM_SIZE },
+}).single('sram');
+
+function validProfile (profile) {
+  return /^[\w-]{1,32}$/.test(String(profile || ''));
+}
+
+function sramPath (romHash, profile, ext) {
+  return path.join(SRAM_DIR, romHash, `${profile}.${ext}`);
+}
+
+function readSramMeta (romHash, profile) {
+  const file = sramPath(romHash, profile, 'json');
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+function listSram (romHash) {
+  const dir = path.join(SRAM_DIR, romHash);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith('.json'))
+    .map(f => JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8')));
+}
+
+/**
+ * @returns {{ meta: object, conflict?: boolean }} conflict = the stored
+ *   revision is newer than baseRevision; nothing was written.
+ */
+function writeSram ({ romHash, profile, romName, roomId, savedBy, sram, baseRevision, force }) {
+  const current = readSramMeta(romHash, profile);
+  const revision = current ? current.revision : 0;
+  if (!force && Number(baseRevision) !== revision) return { meta: current, conflict: true };
+
+  // Periodic syncs mostly upload unchanged data – don't bump the revision for those
+  if (current && sram.equals(fs.readFileSync(sramPath(romHash, profile, 'srm')))) {
+    return { meta: current };
+  }
+
+  fs.mkdirSync(path.join(SRAM_DIR, romHash), { recursive: true });
+  fs.writeFileSync(sramPath(romHash, profile, 'srm'), sram);
+  const meta = {
+    romHash,
+    romName:  String(romName || '').slice(0, 80),
+    profile,
+    revision: revision + 1,
+    roomId:   roomId ? String(roomId).slice(0, 32) : null,
+    savedBy:  String(savedBy || 'Unknown').slice(0, 20),
+    savedAt:  Date.now(),
+    size:     sram.length,
+  };
+  fs.writeFileSync(sramPath(romHash, profile, 'json'), JSON.stringify(meta));
+  io.emit('sram:updated', { romHash, profile, revision: meta.revision, roomId: meta.roomId });
+  return { meta };
+}
+
+app.param('profile', (req, res, next, profile) => {
+  if (!validProfile(profile)) {
+    return res.status(400).json({ error: 'Profile must be 1-32 letters, digits, "-" or "_".' });
+  }
+  next();
+});
+
+app.get('/api/sram/:romHash', (req, res) => {
+  res.json(listSram(req.params.romHash));
+});
+
+// Raw SRAM; the revision to send back as baseRevision is in X-Sram-Revision
+app.get('/api/sram/:romHash/:profile', (req, res) => {
+  const { romHash, profile } = req.params;
+  const meta = readSramMeta(romHash, profile);
+  if (!meta) return res.status(404).json({ error: 'No SRAM for this profile.' });
+  res.set('X-Sram-Revision', String(meta.revision));
+  res.sendFile(sramPath(romHash, profile, 'srm'));
+});
+
+// multipart/form-data: sram (file), baseRevision, force, romName, roomId, savedBy
+app.post('/api/sram/:romHash/:profile', sramUpload, (req, res) => {
+  if (!req.file || !req.file.size) return res.status(400).json({ error: 'Missing "sram" file.' });
+  uploadBytes.observe({ kind: 'sram' }, req.file.size);
+  const result = writeSram({
+    romHash:      req.params.romHash,
+    profile:      req.params.profile,
+    romName:      req.body.romName,
+    roomId:       req.body.roomId,
+    savedBy:      req.body.savedBy,
+    sram:         req.file.buffer,
+    baseRevision: req.body.baseRevision || 0,
+    force:        req.body.force === '1' || req.body.force === 'true',
+  });
+  if (result.conflict) {
+    return res.status(409).json({ error: 'SRAM was changed by another host.', meta: result.meta });
+  }
+  res.json(result.meta);
+});
+
+// ─── Input movies ─────────────────────────────────────────────────────────────
+/**
+ * The host can record every slot's input while it passes through the server:
+ *   data/movies/<id>.json    movie (format below)
+ *   data/movies/<id>.state   save state the recording starts from
+ *
+ *   { format: 'snes-mp-movie', version: 1, id, system, romHash, romName, roomId,
+ *     startedBy, startedAt, duration, players: { <slot>: name },
+ *     events: [[ms, slot, buttons], ...] }
+ *
+ * `ms` is the time since the start state was taken, `buttons` the full
+ * bitmask of that slot from then on (see "Joypad button bitmask"). Movies
+ * without `system` were recorded on a SNES.
+ */
+const MOVIE_FORMAT = 'snes-mp-movie';
+
+function validMovieId (id) {
+  return /^[a-f0-9]{16}$/.test(String(id || ''));
+}
+
+function moviePath (id, ext) {
+  return path.join(MOVIE_DIR, `${id}.${ext}`);
+}
+
+function readMovie (id) {
+  const file = moviePath(id, 'json');
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+// Everything but the events, for listings
+function movieMeta ({ events, ...meta }) {
+  return { ...meta, eventCount: events.length };
+}
+
+function listMovies (romHash) {
+  return fs.readdirSync(MOVIE_DIR)
+    .filter(f => f.endsWith('.json'))
+    .map(f => JSON.parse(fs.readFileSync(path.join(MOVIE_DIR, f), 'utf8')))
+    .filter(m => !romHash || m.romHash === romHash)
+    .map(movieMeta)
+    .sort((a, b) => b.startedAt - a.startedAt);
+}
+
+function startMovie (roomId, room, { romHash, romName, state, startedBy }) {
+  const id = crypto.randomBytes(8).toString('hex');
+  fs.writeFileSync(moviePath(id, 'state'), state);
+  const startedAt = Date.now();
+  const events = [];
+  // Buttons already held when recording starts
+  for (let slot = 1; slot <= MAX_PLAYERS; slot++) {
+    if (room.buttons[slot]) events.push([0, slot, room.buttons[slot]]);
+  }
+  room.movie = {
+    format: MOVIE_FORMAT, version: 1, id, system: room.system, romHash,
+    romName: String(romName || '').slice(0, 80),
+    roomId, startedBy, startedAt, duration: 0, players: {}, events,
+  };
+  return room.movie;
+}
+
+function recordInput (room, slot, buttons) {
+  const changed = room.buttons[slot] !== buttons;   // controllers resend their state
+  room.buttons[slot] = buttons;
+  const { movie } = room;
+  if (!movie || !changed) return;
+  movie.events.push([Date.now() - movie.startedAt, slot, buttons]);
+  if (movie.events.length >= MAX_MOVIE_EVENTS) stopMovie(room);
+}
+
+/** Writes the running movie to disk and tells the room; returns its metadata. */
+function stopMovie (room) {
+  const { movie } = room;
+  if (!movie) return null;
+  room.movie = null;
+  movie.duration = Date.now() - movie.startedAt;
+  for (const p of [...room.players.values(), ...room.reserved.values()]) {
+    if (p.slot) movie.players[p.slot] = p.name;
+  }
+  fs.writeFileSync(moviePath(movie.id, 'json'), JSON.stringify(movie));
+  const meta = movieMeta(movie);
+  io.to(movie.roomId).emit('movie:stopped', meta);
+  return meta;
+}
+
+/**
+ * BizHawk-style input log (the "Input Log.txt" inside a .bk2): one line per
+ * frame, each controller as "UDLRsSYBXAlr" with "." for released buttons.
+ */
+const BK2_ORDER = [4, 5, 6, 7, 2, 3, 1, 0, 9, 8, 10, 11];   // bitmask bits, in mnemonic order
+const BK2_CHARS = 'UDLRsSYBXAlr';
+const NTSC_FPS  = 21477272 / 357366;                        // 60.0988…
+
+function* bk2Lines (movie) {
+  const slots = Math.max(2, ...movie.events.map(e => e[1]));
+  const keys = ['Up', 'Down', 'Left', 'Right', 'Select', 'Start', 'Y', 'B', 'X', 'A', 'L', 'R'];
+  yield '[Input]\n';
+  yield 'LogKey:#Reset|Power|' +
+    Array.from({ length: slots }, (_, i) => '#' + keys.map(k => `P${i + 1} ${k}`).join('|')).join('|') + '|\n';
+
+  const held = new Array(slots + 1).fill(0);
+  const frames = Math.ceil(movie.duration / 1000 * NTSC_FPS);
+  let next = 0;
+  for (let frame = 0; frame < frames; frame++) {
+    const t = frame * 1000 / NTSC_FPS;
+    while (next < movie.events.length && movie.events[next][0] <= t) {
+      const [, slot, buttons] = movie.events[next++];
+      held[slot] = buttons;
+    }
+    let line = '|..|';
+    for (let slot = 1; slot <= slots; slot++) {
+      line += BK2_ORDER.map((bit, i) => held[slot] & (1 << bit) ? BK2_CHARS[i] : '.').join('') + '|';
+    }
+    yield line + '\n';
+  }
+  yield '[/Input]\n';
+}
+
+app.param('movieId', (req, res, next, id) => {
+  if (!validMovieId(id)) return res.status(400).json({ error: 'Invalid movie id.' });
+  req.movie = readMovie(id);
+  if (!req.movie) return res.status(404).json({ error: 'Movie not found.' });
+  next();
+});
+
+// ?romHash= limits the list to one ROM
+app.get('/api/movies', (req, res) => {
+  res.json(listMovies(req.query.romHash));
+});
+
+app.get('/api/movies/:movieId', (req, res) => {
+  res.attachment(`${req.movie.romName || 'movie'}-${req.movie.id}.json`);
+  res.json(req.movie);
+});
+
+app.get('/api/movies/:movieId/state', (req, res) => {
+  res.download(moviePath(req.movie.id, 'state'), `${req.movie.id}.state`);
+});
+
+// ?format=bk2 – BizHawk-style input log (NTSC frame timing)
+app.get('/api/movies/:movieId/export', (req, res) => {
+  if (req.query.format !== 'bk2') return res.status(400).json({ error: 'Supported formats: bk2.' });
+  if ((req.movie.system || 'snes') !== 'snes') return res.status(400).json({ error: 'BK2 export is only available for SNES movies.' });
+  res.attachment(`${req.movie.romName || 'movie'}-${req.movie.id}.txt`);
+  res.type('text/plain');
+  for (const line of bk2Lines(req.movie)) res.write(line);
+  res.end();
+});
+
+// Like recording, for the host: of the room it was recorded in or of one
+// running its ROM (or the admin)
+const movieHost = req => requestIsHost(req, req.movie.roomId) || requestHostsRom(req, req.movie.romHash);
+app.delete('/api/movies/:movieId', adminOr(movieHost, 'Only the room host can delete this movie.'), (req, res) => {
+  fs.rmSync(moviePath(req.movie.id, 'json'), { force: true });
+  fs.rmSync(moviePath(req.movie.id, 'state'), { force: true });
+  res.json({ ok: true });
+});
+
+// ─── Clips and screenshots ────────────────────────────────────────────────────
+/**
+ * The emulator page records its stream into a replay buffer (js/clips.js) and
+ * uploads the last seconds of it, or a PNG of the current frame, when someone
+ * asks (media:capture). Files are tagged with the room and ROM they come from:
+ *   data/media/<id>.webm|.mp4|.png   the clip or screenshot
+ *   data/media/<id>.json             { id, kind, type, roomId, romHash, romName, system,
+ *                                      savedBy, savedAt, size, duration, private }
+ * kind is 'clip' or 'shot'; duration (ms) is only set for clips. Files from
+ * unlisted or password rooms are private: they are only listed for the room's
+ * members (X-Room-Token) or, with a password, for whoever sends it
+ * (X-Room-Password). Listed private files carry a key that opens them, since
+ * <img> / <video> can't send headers. Only the room host or the admin deletes.
+ * Each room and ROM keeps its MEDIA_KEEP newest files.
+ */
+const MEDIA_TYPES = {
+  png:  { kind: 'shot', mime: 'image/png', test: b => b.length > 8 && b.readUInt32BE(0) === 0x89504E47 },
+  webm: { kind: 'clip', mime: 'video/webm', test: b => b.length > 4 && b.readUInt32BE(0) === 0x1A45DFA3 },
+  mp4:  { kind: 'clip', mime: 'video/mp4', test: b => b.length > 12 && b.toString('latin1', 4, 8) === 'ftyp' },
+};
+
+const mediaUpload = multer({
+  storage: multer.memoryStorage(),
+  limits:  { fileSize: MAX_CLIP_SIZE },
+}).single('media');
+
+function validMediaId (id) {
+  return /^[a-f0-9]{16}$/.test(String(id || ''));
+}
+
+function mediaPath (id, ext) {
+  return path.join(MEDIA_DIR, `${id}.${ext}`);
+}
+
+function readMediaMeta (id) {
+  const file = mediaPath(id, 'json');
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+/** Newest first; every filter is optional. Private files need the roomId. */
+function listMedia ({ roomId, romHash, kind } = {}) {
+  return fs.readdirSync(MEDIA_DIR)
+    .filter(f => f.endsWith('.json'))
+    .map(f => JSON.parse(fs.readFileSync(path.join(MEDIA_DIR, f), 'utf8')))
+    .filter(m => (roomId ? m.roomId === roomId : !m.private))
+    .filter(m => (!romHash || m.romHash === romHash) && (!kind || m.kind === kind))
+    .sort((a, b) => b.savedAt - a.savedAt);
+}
+
+// Keys die with the process; galleries list again after a restart anyway
+const mediaSecret = crypto.randomBytes(16);
+
+function mediaKey (id) {
+  return crypto.createHmac('sha256', mediaSecret).update(id).digest('hex').slice(0, 32);
+}
+
+/** Returns a { code, error } refusal, or null when `req` may see the room's private files. */
+function mediaRefusal (req, roomId) {
+  const room = rooms.get(roomId);
+  if (tokenMember(req, room)) return null;
+  if (!room || !room.password) return { code: 'members-only', error: 'Only members of this room can see its files.' };
+  const password = req.get('x-room-password');
+  if (!password) return { code: 'password-required', error: 'This room requires a password.' };
+  if (!checkPassword(room, password)) return { code: 'bad-password', error: 'Wrong room password.' };
+  return null;
+}
+
+function deleteMedia (meta) {
+  fs.rmSync(mediaPath(meta.id, meta.type), { force: true });
+  fs.rmSync(mediaPath(meta.id, 'json'), { force: true });
+}
+
+// Galleries reload on this; a private room's id is only sent to the room
+function mediaUpdated ({ id, roomId, romHash, private: hidden }) {
+  if (hidden) io.to(roomId).emit('media:updated', { id, roomId, romHash });
+  else io.emit('media:updated', { id, roomId, romHash });
+}
+
+/** 'png', 'webm' or 'mp4' by the file's signature; null for anything else. */
+function mediaType (file) {
+  return Object.keys(MEDIA_TYPES).find(t => MEDIA_TYPES[t].test(file)) || null;
+}
+
+function writeMedia ({ file, type, roomId, romHash, romName, system, savedBy, duration }) {
+  const { kind } = MEDIA_TYPES[type];
+  const room = rooms.get(String(roomId));
+  const id = crypto.randomBytes(8).toString('hex');
+  fs.writeFileSync(mediaPath(id, type), file);
+  const meta = {
+    id, kind, type,
+    roomId:   String(roomId).slice(0, 32),
+    romHash,
+    romName:  String(romName || '').slice(0, 80),
+    system:   Systems.has(system) ? system : null,
+    savedBy:  String(savedBy || 'Unknown').slice(0, 20),
+    savedAt:  Date.now(),
+    size:     file.length,
+    duration: kind === 'clip' && Number(duration) > 0 ? Math.round(Number(duration)) : null,
+    private:  !!(room && (room.unlisted || room.password)),
+  };
+  fs.writeFileSync(mediaPath(id, 'json'), JSON.stringify(meta));
+  for (const old of listMedia({ roomId: meta.roomId, romHash }).slice(MEDIA_KEEP)) deleteMedia(old);
+  mediaUpdated(meta);
+  if (room) systemMessage(meta.roomId, kind, { name: meta.savedBy });
+  return meta;
+}
+
+app.param('mediaId', (req, res, next, id) => {
+  if (!validMediaId(id)) return res.status(400).json({ error: 'Invalid media id.' });
+  req.media = readMediaMeta(id);
+  if (!req.media) return res.status(404).json({ error: 'Clip or screenshot not found.' });
+  next();
+});
+
+// ?roomId= / ?romHash= / ?kind=clip|shot narrow the list
+app.get('/api/media', (req, res) => {
+  const { roomId, romHash, kind } = req.query;
+  const items = listMedia({ roomId: roomId && String(roomId), romHash: romHash && String(romHash), kind });
+  if (items.some(m => m.private)) {
+    const refusal = mediaRefusal(req, String(roomId));
+    if (refusal) return res.status(403).json(refusal);
+  }
+  res.json(items.map(m => (m.private ? { ...m, key: mediaKey(m.id) } : m)));
+});
+
+// Private files need the ?key= from the listing
+function mediaAccess (req, res, next) {
+  if (!req.media.private) return next();
+  const key = Buffer.from(String(req.query.key || ''));
+  const want = Buffer.from(mediaKey(req.media.id));
+  if (key.length === want.length && crypto.timingSafeEqual(key, want)) return next();
+  res.status(403).json({ error: 'This file is private.' });
+}
+
+// The file itself, for <img> / <video>; /download names it for saving
+app.get('/api/media/:mediaId', mediaAccess, (req, res) => {
+  res.type(MEDIA_TYPES[req.media.type].mime).sendFile(mediaPath(req.media.id, req.media.type));
+});
+
+app.get('/api/media/:mediaId/download', mediaAccess, (req, res) => {
+  const { id, type, romName, kind, savedAt } = req.media;
+  const stamp = new Date(savedAt).toISOString().slice(0, 19).replace(/[:T]/g, '-');
+  res.download(mediaPath(id, type), `${romName || kind}-${stamp}.${type}`);
+});
+
+// multipart/form-data: media (file), roomId, romHash, romName, system, savedBy,
+// duration (ms, clips)
+app.post('/api/media', mediaUpload, (req, res) => {
+  if (!req.file || !req.file.size) return res.status(400).json({ error: 'Missing "media" file.' });
+  const { roomId, romHash, romName, system, savedBy, duration } = req.body;
+  if (!roomId) return res.status(400).json({ error: 'Missing roomId.' });
+  if (!validRomHash(romHash)) return res.status(400).json({ error: 'Invalid ROM hash.' });
+  const type = mediaType(req.file.buffer);
+  if (!type) return res.status(400).json({ error: 'Expected a PNG screenshot or a WebM / MP4 clip.' });
+  if (type === 'png' && req.file.size > MAX_SHOT_SIZE) return res.status(400).json({ error: 'Screenshot is too large.' });
+  uploadBytes.observe({ kind: MEDIA_TYPES[type].kind }, req.file.size);
+  res.json(writeMedia({ file: req.file.buffer, type, roomId, romHash, romName, system, savedBy, duration }));
+});
+
+app.delete('/api/media/:mediaId', adminOr(req => requestIsHost(req, req.media.roomId),
+  'Only the room host can delete clips and screenshots.'), (req, res) => {
+  deleteMedia(req.media);
+  mediaUpdated(req.media);
+  res.json({ ok: true });
+});
+
+// ─── Room helpers ─────────────────────────────────────────────────────────────
+// Unlisted rooms are reachable by ID only; they never appear in the lobby.
+function getAllRooms () {
+  return [...rooms.entries()]
+    .filter(([, room]) => !room.unlisted)
+    .map(([id, room]) => ({
+      id,
+      playerCount:    countPlayers(room),
+      spectatorCount: room.players.size - countPlayers(room),
+      maxPlayers:     roomMaxPlayers(room),
+      system:         room.system,
+      players: [...room.players.values()]
+        .filter(p => p.slot)
+        .map(p => ({ slot: p.slot, name: p.name })),
+      romName: room.romName || null,
+      hasPassword: !!room.password,
+    }));
+}
+
+function broadcastRoomList () {
+  io.emit('rooms:list', getAllRooms());
+  persistRooms();   // every membership / ROM change ends up here
+}
+
+// List all active rooms
+app.get('/api/rooms', (_, res) => res.json(getAllRooms()));
+
+// ─── Room / session state ─────────────────────────────────────────────────────
+/**
+ * rooms: Map<roomId, { players: Map<socketId, playerInfo>, host: socketId | null,
+ *                      reserved: Map<resumeToken, seat> }>
+ * playerInfo: { slot: 1-4 | null, name: string, role: string, token: string,
+ *               playMs: number, seatedAt: number | null, part?: string }
+ *   role 'spectator' members have slot null and never drive a joypad.
+ *   Several members may share a slot (room:share); part is their half of the
+ *   pad in split mode.
+ *   playMs + seatedAt time the member's turns in a slot (playTime()).
+ * seat: a playerInfo held after an unexpected disconnect, for RESUME_GRACE_MS
+ */
+const rooms = new Map();
+
+/**
+ * Create the room on first join. Access options (password / unlisted) are only
+ * honoured from the creating socket; later joiners cannot change them.
+ */
+function getOrCreateRoom (roomId, { password, unlisted } = {}) {
+  if (!rooms.has(roomId)) {
+    rooms.set(roomId, {
+      players:        new Map(),
+      host:           null,   // first socket – for UI/room management
+      emulatorSocket: null,   // the socket actually running EmulatorJS
+      handover:       null,   // emulator migration in progress, see offerEmulator()
+      checkpoint:     null,   // { romHash, savedAt } of the last state:checkpoint from our emulator
+      queue:          [],     // resume tokens of spectators waiting for a slot, see updateQueue()
+      turn:           null,   // { timer, endsAt } of the running rotation clock
+      reserved:       new Map(),
+      password:       password ? hashPassword(String(password).slice(0, 64)) : null,
+      unlisted:       !!unlisted,
+      bans:           { names: new Set(), addresses: new Set() },
+      buttons:        new Array(MAX_PLAYERS + 1).fill(0),   // last (merged) bitmask per slot
+      held:           new Map(),   // socketId → { buttons, at }: each member's last input, see mergeSlot()
+      movie:          null,   // input recording in progress
+      romName:        '',
+      romHash:        null,   // content hash of the loaded ROM, for per-ROM settings
+      system:         Systems.DEFAULT,   // console the room plays (public/js/systems.js)
+      settings:       { assists: true, ports: { 1: 'joypad', 2: 'joypad' },    // see room:settings
+                        rotation: { rule: 'off', seconds: ROTATION_SECONDS.default }, share: 'or',
+                        crowd: { mode: 'off', slot: 1, seconds: CROWD_SECONDS.default,
+                                 cooldown: CROWD_COOLDOWN.default, blocked: [] } },
+      crowd:          { presses: new Array(12).fill(0), timers: new Set(), vote: null, lastCommand: new Map() },   // chat plays, see crowdCommand()
+      padLayout:      null,   // touch layout the host recommends for romHash
+      chat:           new ChatLog(CHAT_HISTORY),
+      muted:          new Set(),   // normalised names the host muted in chat
+      hostStandIn:    false,  // host only until the held host seat is resumed
+      emptySince:     null,   // when the room last emptied (ROOM_EMPTY_TTL_MS)
+    });
+  }
+  return rooms.get(roomId);
+}
+
+// ─── Room persistence ─────────────────────────────────────────────────────────
+// Rooms are snapshotted to the store (lib/room-store.js) shortly after they
+// change and once more on shutdown. On boot every member of a saved room comes
+// back as a held seat, so clients that auto-reconnect with their resumeToken
+// land in their old slot; sockets, timers and recordings are not kept.
+const roomStore = createRoomStore(ROOM_STORE, DATA_DIR);
+const PERSIST_DELAY_MS = 1000;
+let persistTimer = null;
+
+function roomSnapshot (roomId, room) {
+  const seat = ({ timer, ...rest }) => ({ ...rest, playMs: playTime(rest) });
+  return {
+    id:        roomId,
+    password:  room.password,
+    unlisted:  room.unlisted,
+    bans:      { names: [...room.bans.names], addresses: [...room.bans.addresses] },
+    romName:   room.romName,
+    romHash:   room.romHash,
+    system:    room.system,
+    settings:  room.settings,
+    padLayout: room.padLayout,
+    chat:      room.chat,
+    muted:     [...room.muted],
+    queue:     room.queue,
+    checkpoint: room.checkpoint,
+    seats:     [
+      ...[...room.reserved.values()].map(seat),
+      ...[...room.players].map(([id, p]) => ({ ...p, playMs: playTime(p), wasHost: holdsHost(room, id) })),
+    ],
+    emptySince: room.emptySince || null,
+  };
+}
+
+function restoreRoom (snap) {
+  const room = getOrCreateRoom(snap.id);
+  Object.assign(room, {
+    password:   snap.password || null,
+    unlisted:   !!snap.unlisted,
+    bans:       { names: new Set(snap.bans?.names), addresses: new Set(snap.bans?.addresses) },
+    romName:    snap.romName || '',
+    romHash:    snap.romHash || null,
+    system:     Systems.has(snap.system) ? snap.system : Systems.DEFAULT,
+    settings:   { ...room.settings, ...snap.settings },
+    padLayout:  snap.padLayout || null,
+    chat:       ChatLog.restore(snap.chat, CHAT_HISTORY),
+    muted:      new Set(snap.muted),
+    queue:      Array.isArray(snap.queue) ? snap.queue.filter(t => typeof t === 'string') : [],
+    checkpoint: validRomHash(snap.checkpoint?.romHash) ? { romHash: snap.checkpoint.romHash, savedAt: Number(snap.checkpoint.savedAt) } : null,
+    emptySince: snap.emptySince || null,
+  });
+  for (const seat of snap.seats || []) {
+    if (!seat.token) continue;
+    seat.seatedAt = seat.slot ? Date.now() : null;   // playMs already counts up to the save
+    room.reserved.set(seat.token, seat);
+    seat.timer = setTimeout(() => expireSeat(snap.id, seat.token), ROOM_RESTORE_GRACE_MS);
+  }
+  if (room.reserved.size) room.emptySince = null;
+}
+
+function loadRooms () {
+  let snaps;
+  try { snaps = roomStore.load(); }
+  catch (e) { return console.error(`[rooms] Could not load saved rooms: ${e.message}`); }
+  for (const snap of snaps) {
+    if (typeof snap?.id === 'string') restoreRoom(snap);
+  }
+  for (const roomId of rooms.keys()) systemMessage(roomId, 'restored');
+  if (rooms.size) console.log(`[rooms] Restored ${rooms.size} room(s) from the ${ROOM_STORE} store`);
+}
+
+function saveRooms () {
+  clearTimeout(persistTimer);
+  persistTimer = null;
+  try {
+    roomStore.save([...rooms].map(([id, room]) => roomSnapshot(id, room)));
+  } catch (e) {
+    console.error(`[rooms] Could not save rooms: ${e.message}`);
+  }
+}
+
+/** Schedules a save; bursts of changes are written once. */
+function persistRooms () {
+  if (!persistTimer) persistTimer = setTimeout(saveRooms, PERSIST_DELAY_MS);
+}
+
+// ─── Room expiry ──────────────────────────────────────────────────────────────
+const roomIsEmpty = room => room.players.size === 0 && room.reserved.size === 0;
+
+/**
+ * Called when a room may have just emptied. Deletes it at once, or (with
+ * ROOM_EMPTY_TTL_MS) stamps it for the sweep. Returns true if it was deleted.
+ */
+function retireIfEmpty (roomId, room) {
+  if (!roomIsEmpty(room)) return false;
+  if (ROOM_EMPTY_TTL_MS > 0) {
+    room.emptySince = Date.now();
+    return false;
+  }
+  dropRoom(roomId, room);
+  console.log(`  ↳ Room "${roomId}" deleted (empty)`);
+  return true;
+}
+
+/**
+ * Deletes a room along with everything still running for it: held seats, the
+ * recording, chat plays, the turn clock and an emulator handover. Every way a
+ * room goes away ends here.
+ */
+function dropRoom (roomId, room) {
+  for (const seat of room.reserved.values()) clearTimeout(seat.timer);
+  room.reserved.clear();
+  stopMovie(room);
+  stopCrowd(room);
+  stopTurnClock(room);
+  cancelHandover(room);
+  rooms.delete(roomId);
+}
+
+// ─── Room access control ──────────────────────────────────────────────────────
+// Passwords are kept as salted SHA-256 so they never sit in memory in clear.
+function hashPassword (password, salt = crypto.randomBytes(8).toString('hex')) {
+  const hash = crypto.createHash('sha256').update(salt + password).digest('hex');
+  return { salt, hash };
+}
+
+function checkPassword (room, password) {
+  const { hash } = hashPassword(String(password || '').slice(0, 64), room.password.salt);
+  return crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(room.password.hash));
+}
+
+/**
+ * REST calls prove membership with the resumeToken from room:joined, sent as
+ * X-Room-Token. Returns the member's socket id, or null.
+ */
+function tokenMember (req, room) {
+  const token = req.get('x-room-token');
+  if (!room || !token) return null;
+  for (const [id, p] of room.players) if (p.token === token) return id;
+  return null;
+}
+
+/** True when the request comes from the host of `roomId` (see tokenMember()). */
+function requestIsHost (req, roomId) {
+  const room = rooms.get(String(roomId));
+  const id   = tokenMember(req, room);
+  return !!id && id === room.host;
+}
+
+/**
+ * The host or emulator page of a room running `romHash` behind the request's
+ * token, as { roomId, member }; null for anyone else.
+ */
+function romRunner (req, romHash) {
+  for (const [roomId, room] of rooms) {
+    if (room.romHash !== romHash) continue;
+    const id = tokenMember(req, room);
+    if (id && (id === room.host || id === room.emulatorSocket)) return { roomId, member: room.players.get(id) };
+  }
+  return null;
+}
+
+/** True when the request comes from the host of a room running `romHash`. */
+function requestHostsRom (req, romHash) {
+  for (const [roomId, room] of rooms) {
+    if (room.romHash === romHash && requestIsHost(req, roomId)) return true;
+  }
+  return false;
+}
+
+function clientAddress (socket) {
+  // Same walk as Express req.ip: X-Forwarded-For only counts through the
+  // proxies 'trust proxy' allows, so clients can't pick their own address
+  const trust = app.get('trust proxy fn');
+  const hops  = String(socket.handshake.headers['x-forwarded-for'] || '')
+    .split(',').map(a => a.trim()).filter(Boolean).reverse();
+  const addrs = [socket.handshake.address, ...hops];
+  let i = 0;
+  while (i < addrs.length - 1 && trust(addrs[i], i)) i++;
+  return addrs[i];
+}
+
+function normalizeName (name) {
+  return String(name || '').trim().toLowerCase();
+}
+
+/** Returns a { code, message } refusal, or null when the socket may join. */
+function joinRefusal (room, socket, { playerName, password }) {
+  const name = normalizeName(playerName);
+  if (room.bans.addresses.has(clientAddress(socket)) || (name && room.bans.names.has(name))) {
+    return { code: 'banned', message: 'You are banned from this room.' };
+  }
+  if (room.password) {
+    if (!password) return { code: 'password-required', message: 'This room requires a password.' };
+    if (!checkPassword(room, password)) return { code: 'bad-password', message: 'Wrong room password.' };
+  }
+  return null;
+}
+
+/** Returns the target socket if `socket` is the host and `targetId` is in its room. */
+function hostTarget (socket, targetId) {
+  const room = hostRoom(socket);
+  if (!room || targetId === socket.id || !room.players.has(targetId)) return null;
+  return io.sockets.sockets.get(targetId) || null;
+}
+
+function roomMaxPlayers (room) {
+  return Systems.get(room.system).players;
+}
+
+function assignSlot (room) {
+  // Slots held for disconnected players count as taken
+  const used = new Set([...room.players.values(), ...room.reserved.values()].map(p => p.slot));
+  for (let s = 1; s <= roomMaxPlayers(room); s++) {
+    if (!used.has(s)) return s;
+  }
+  return null; // full
+}
+
+function countPlayers (room) {
+  let n = 0;
+  for (const p of room.players.values()) if (p.slot) n++;
+  return n;
+}
+
+function spectatorsFull (room) {
+  return MAX_SPECTATORS > 0 && room.players.size - countPlayers(room) >= MAX_SPECTATORS;
+}
+
+function playerBySlot (room, slot) {
+  for (const [id, p] of room.players) if (p.slot === slot) return [id, p];
+  return null;
+}
+
+function isReserved (room, slot) {
+  for (const seat of room.reserved.values()) if (seat.slot === slot) return true;
+  return false;
+}
+
+// ─── Resume tokens ────────────────────────────────────────────────────────────
+// Every member gets a token in room:joined. After an unexpected disconnect the
+// seat (slot, name, role) is held under that token so a quick reconnect gets
+// it back; intentional leaves and kicks free the slot immediately.
+function newResumeToken () {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+function reserveSeat (roomId, room, player, flags) {
+  const seat = { ...player, ...flags };
+  seat.timer = setTimeout(() => expireSeat(roomId, player.token), RESUME_GRACE_MS);
+  room.reserved.set(player.token, seat);
+}
+
+function expireSeat (roomId, token) {
+  const room = rooms.get(roomId);
+  const seat = room?.reserved.get(token);
+  if (!seat) return;
+  room.reserved.delete(token);
+  if (seat.wasHost) room.hostStandIn = false;   // the stand-in keeps host for good
+  dequeue(room, token);
+  if (!retireIfEmpty(roomId, room)) {
+    updateQueue(roomId, room);   // the held slot is free now
+    io.to(roomId).emit('room:updated', roomInfo(roomId));
+  }
+  broadcastRoomList();
+}
+
+/**
+ * Whether `id` holds host in its own right. A stand-in only keeps it warm for
+ * the held host seat, so its own seat must not claim host back later.
+ */
+function holdsHost (room, id) {
+  return room.host === id && !room.hostStandIn;
+}
+
+/**
+ * Claim the seat behind `token`: either a reservation, or a member whose old
+ * socket hasn't been detected as dead yet (it gets evicted). Returns the seat
+ * or null.
+ */
+function claimSeat (room, token) {
+  if (!token) return null;
+  const seat = room.reserved.get(token);
+  if (seat) {
+    clearTimeout(seat.timer);
+    room.reserved.delete(token);
+    return seat;
+  }
+  for (const [id, p] of room.players) {
+    if (p.token !== token) continue;
+    const old = io.sockets.sockets.get(id);
+    const flags = { wasHost: holdsHost(room, id) };
+    room.players.delete(id);
+    if (old) {
+      old.leave(old.data.roomId);
+      old.data.roomId = null;   // skip the disconnect cleanup for this socket
+      old.disconnect(true);
+    }
+    return { ...p, ...flags };
+  }
+  return null;
+}
+
+/**
+ * Seat a room member in `slot`, or make them a spectator when slot is null.
+ * Keeps socket.data in sync and tells the member about its new seat.
+ */
+function seatPlayer (room, socketId, slot) {
+  const p = room.players.get(socketId);
+  if (p.slot !== slot) room.held.delete(socketId);   // their buttons stay behind in the old slot otherwise
+  if (!slot) delete p.part;
+  if (slot) {
+    if (p.role === 'spectator') p.role = p.seatRole || 'viewer';
+  } else if (p.role !== 'spectator') {
+    p.seatRole = p.role;
+    p.role     = 'spectator';
+  }
+  p.slot = slot;
+  if (slot) {
+    startPlayClock(p);
+    dequeue(room, p.token);
+  } else {
+    stopPlayClock(p);
+  }
+
+  const s = io.sockets.sockets.get(socketId);
+  if (s) {
+    s.data.slot = slot;
+    s.data.role = p.role;
+    s.emit('room:role', { slot, role: p.role });
+  }
+}
+
+// Tell the emulator a slot changed hands so buttons held by the old owner
+// don't stay pressed (whoever still shares it keeps theirs).
+function releaseSlot (room, slot) {
+  if (slot) sendJoypad(room, slot);
+}
+
+/**
+ * Switches the room to another console. Players (and held seats) beyond the
+ * new system's player count become spectators; the emulator page keeps its
+ * slot since its keyboard is that player. Returns false if nothing changed.
+ */
+function setRoomSystem (roomId, room, system) {
+  if (room.system === system) return false;
+  stopCrowd(room);   // votes name the old console's buttons
+  room.system = system;
+  const max = roomMaxPlayers(room);
+  if (room.settings.crowd.slot > max) room.settings.crowd = { ...room.settings.crowd, slot: 1 };
+  if (crowdSlot(room)) crowdTally(roomId, room);
+  for (const [id, p] of room.players) {
+    if (p.slot > max && id !== room.emulatorSocket) {
+      const slot = p.slot;
+      seatPlayer(room, id, null);
+      releaseSlot(room, slot);
+    }
+  }
+  for (const seat of room.reserved.values()) {
+    if (seat.slot > max) unseatHeld(seat);
+  }
+  systemMessage(roomId, 'console', { system });
+  return true;
+}
+
+/**
+ * Routes a slot's merged buttons (mergeSlot) to the emulator page, recording
+ * them if a movie is running. `from` is skipped so the host's own input isn't
+ * echoed back; when the host shares its slot it gets everyone else's buttons
+ * and merges its keyboard in itself. seq / t (sender's sequence number and
+ * send time) are passed through for the host's netplay scheduling; always
+ * sent reliably, never volatile.
+ */
+function sendJoypad (room, slot, { axes = { x: 0, y: 0 }, seq, t } = {}, from = null) {
+  recordInput(room, slot, mergeSlot(room, slot));
+  const target = room.emulatorSocket || room.host;
+  if (!target || target === from) return;
+  const state = { slot, buttons: mergeSlot(room, slot, target), axes };
+  if (from) state.from = from;   // seq / t count per sender, and a shared slot has several
+  if (Number.isSafeInteger(seq)) state.seq = seq;
+  if (Number.isFinite(t)) state.t = t;
+  io.to(target).emit('joypad:state', state);
+}
+
+// Pointer devices send relative mouse counts or 0–1 aim points (js/peripherals.js)
+function cleanAxes (axes) {
+  const n = v => Math.max(-1024, Math.min(1024, Number(v) || 0));
+  return axes && typeof axes === 'object' ? { x: n(axes.x), y: n(axes.y) } : { x: 0, y: 0 };
+}
+
+// ── Shared slots ────────────────────────────────────────────────────────────
+// The host can seat several members in one slot (room:share) for "two people,
+// one character" co-op. Each member's last bitmask is kept in room.held and
+// the slot gets them merged by settings.share:
+//   or     every button anyone holds
+//   last   the bitmask of whoever sent input last
+//   split  each person's part of the pad (Systems.PARTS via playerInfo.part:
+//          move = d-pad, action = face and shoulder buttons), OR-ed together
+const SHARE_MODES = ['or', 'last', 'split'];
+let heldSeq = 0;   // orders inputs for 'last'
+
+function slotMembers (room, slot) {
+  return [...room.players].filter(([, p]) => p.slot === slot);
+}
+
+/** The slot's buttons, optionally leaving out one member (`skip`, the host page). */
+function mergeSlot (room, slot, skip = null) {
+  const members = slotMembers(room, slot);
+  const split   = room.settings.share === 'split' && members.length > 1;
+  if (crowdSlot(room) === slot) members.push([CROWD_ID, {}]);   // chat plays: the whole pad
+  let buttons = 0, latest = -1;
+  for (const [id, p] of members) {
+    const held = room.held.get(id);
+    if (!held || id === skip) continue;
+    if (room.settings.share === 'last') {
+      if (held.at > latest) {
+        latest  = held.at;
+        buttons = held.buttons;
+      }
+    } else {
+      buttons |= split ? held.buttons & Systems.PARTS[p.part || 'all'] : held.buttons;
+    }
+  }
+  return buttons;
+}
+
+// Devices each console port accepts; mirrors PERIPHERALS in js/peripherals.js
+const PORT_DEVICES = {
+  1: ['joypad', 'mouse'],
+  2: ['joypad', 'mouse', 'superscope', 'justifier'],
+};
+
+/** Returns the room if `socket` is its host, else null. */
+function hostRoom (socket) {
+  const room = rooms.get(socket.data.roomId);
+  return room && room.host === socket.id ? room : null;
+}
+
+/**
+ * Server-side copy of PadLayout.normalize() (public/js/pad-layout.js): same
+ * format check and limits, so controllers only ever receive sane layouts.
+ */
+const PAD_DIAGONALS = ['off', 'normal', 'wide'];
+function sanitizePadLayout (raw) {
+  if (!raw || typeof raw !== 'object' || raw.format !== 'snes-pad-layout' ||
+      !raw.items || typeof raw.items !== 'object') return null;
+  const clamp = (v, min, max, dflt) => Number.isFinite(Number(v)) ? Math.min(max, Math.max(min, Number(v))) : dflt;
+  const items = {};
+  for (const [id, item] of Object.entries(raw.items).slice(0, 32)) {
+    if (!/^[A-Z_]{1,16}$/.test(id) || !item || typeof item !== 'object') continue;
+    items[id] = {
+      x:       clamp(item.x, -100, 100, 0),
+      y:       clamp(item.y, -100, 100, 0),
+      scale:   clamp(item.scale, 0.4, 2.5, 1),
+      opacity: clamp(item.opacity, 0.1, 1, 1),
+    };
+  }
+  return {
+    format:    'snes-pad-layout',
+    version:   1,
+    name:      String(raw.name || 'Layout').slice(0, 40),
+    diagonals: PAD_DIAGONALS.includes(raw.diagonals) ? raw.diagonals : 'normal',
+    items,
+  };
+}
+
+function roomInfo (roomId) {
+  const room = rooms.get(roomId);
+  if (!room) return null;
+  return {
+    id: roomId,
+    host: room.host,
+    romName: room.romName || null,
+    romHash: room.romHash,
+    system: room.system,
+    settings: room.settings,
+    queue: queueInfo(room),
+    players: [
+      ...[...room.players.entries()].map(([id, p]) => ({
+        id, slot: p.slot, name: p.name, role: p.role, playMs: playTime(p),
+        ...(p.part && { part: p.part }),
+        ...(room.queue.includes(p.token) && { queued: room.queue.indexOf(p.token) + 1 }),
+        ...(room.muted.has(normalizeName(p.name)) && { muted: true }),
+      })),
+      // Seats held for reconnecting players
+      ...[...room.reserved.values()].map(p => ({
+        id: null, slot: p.slot, name: p.name, role: p.role, playMs: playTime(p), away: true,
+        ...(p.part && { part: p.part }),
+        ...(room.queue.includes(p.token) && { queued: room.queue.indexOf(p.token) + 1 }),
+      })),
+    ]
+  };
+}
+
+// ─── Play queue ───────────────────────────────────────────────────────────────
+// With more people than joypads, spectators line up for a slot (queue:join)
+// and slots change hands by the host's rule (settings.rotation.rule):
+//   off     no queue; the host seats people by hand (promote / demote)
+//   manual  the host presses "next" (queue:next)
+//   timer   every `seconds` while someone is waiting
+//   life    the host presses "lost a life" on the player who died (queue:next
+//           with their slot)
+// A rotation gives the slot of the player seated longest (or the one the host
+// picked) to the head of the queue and sends its owner to the back. Free slots
+// go to the head of the queue straight away. The emulator page keeps its slot.
+// The queue holds resume tokens, so a member who drops keeps their place; they
+// are skipped until they are back.
+
+// Time in a joypad slot, across turns and reconnects
+function startPlayClock (p) {
+  if (p.slot && !p.seatedAt) p.seatedAt = Date.now();
+}
+
+function stopPlayClock (p) {
+  if (!p.seatedAt) return;
+  p.playMs   = (p.playMs || 0) + Date.now() - p.seatedAt;
+  p.seatedAt = null;
+}
+
+function playTime (p) {
+  return (p.playMs || 0) + (p.seatedAt ? Date.now() - p.seatedAt : 0);
+}
+
+// A held seat loses its slot (console switch, rotation): it comes back as a spectator
+function unseatHeld (seat) {
+  stopPlayClock(seat);
+  Object.assign(seat, { slot: null, seatRole: seat.role, role: 'spectator' });
+  delete seat.part;
+}
+
+function dequeue (room, token) {
+  const at = room.queue.indexOf(token);
+  if (at !== -1) room.queue.splice(at, 1);
+}
+
+/** First queued member who is online and still without a slot: [socketId, playerInfo] or null. */
+function queueHead (room) {
+  for (const token of room.queue) {
+    for (const [id, p] of room.players) if (p.token === token && !p.slot) return [id, p];
+  }
+  return null;
+}
+
+/** Slot of the player seated longest (held seats included): the next to pass the controller. */
+function nextOut (room) {
+  let out = null;
+  for (const p of [...room.players.values(), ...room.reserved.values()]) {
+    if (!p.slot || p.role === 'emulator') continue;
+    if (!out || (p.seatedAt || 0) < (out.seatedAt || 0)) out = p;
+  }
+  return out ? out.slot : null;
+}
+
+function queueInfo (room) {
+  const waiting = !!queueHead(room);
+  return {
+    size:     room.queue.length,
+    next:     waiting ? nextOut(room) : null,
+    rotateIn: room.turn ? Math.max(0, room.turn.endsAt - Date.now()) : null,   // ms, timer rule
+  };
+}
+
+function stopTurnClock (room) {
+  if (room.turn) clearTimeout(room.turn.timer);
+  room.turn = null;
+}
+
+/**
+ * Hands `slot` to the head of the queue; its owner goes to the back. Returns
+ * false when nobody is waiting or the slot cannot change hands.
+ */
+function rotateSlot (roomId, room, slot) {
+  const next = queueHead(room);
+  if (!next) return false;
+  // On a shared slot, the one who has been there longest passes on their part
+  const owner = slotMembers(room, slot)
+    .filter(([, p]) => p.role !== 'emulator')
+    .sort(([, a], [, b]) => (a.seatedAt || 0) - (b.seatedAt || 0))[0];
+  const away  = !owner && [...room.reserved.values()].find(seat => seat.slot === slot);
+  const out   = owner ? owner[1] : away;
+  if (!out || out.role === 'emulator') return false;
+
+  const part = out.part;
+  if (owner) seatPlayer(room, owner[0], null);
+  else unseatHeld(away);
+  room.queue.push(out.token);
+  seatPlayer(room, next[0], slot);
+  if (part) next[1].part = part;
+  releaseSlot(room, slot);
+  stopTurnClock(room);   // a new turn starts
+  systemMessage(roomId, 'turn', { name: next[1].name, slot, from: out.name });
+  console.log(`  ↳ P${slot} passed from "${out.name}" to "${next[1].name}" in room "${roomId}"`);
+  return true;
+}
+
+/**
+ * Seats queued members in free slots and (timer rule) keeps the rotation
+ * clock running while someone waits. Call after anything that changes seats
+ * or the queue, before room:updated goes out. Returns true if anyone moved.
+ */
+function updateQueue (roomId, room) {
+  const { rule, seconds } = room.settings.rotation;
+  if (rule === 'off') {
+    room.queue = [];
+    stopTurnClock(room);
+    return false;
+  }
+  let moved = false, next, slot;
+  while ((next = queueHead(room)) && (slot = assignSlot(room)) !== null) {
+    seatPlayer(room, next[0], slot);
+    systemMessage(roomId, 'turn', { name: next[1].name, slot });
+    moved = true;
+  }
+
+  if (rule !== 'timer' || !queueHead(room) || !nextOut(room)) {
+    stopTurnClock(room);
+  } else if (!room.turn) {
+    const ms = seconds * 1000;
+    room.turn = {
+      endsAt: Date.now() + ms,
+      timer:  setTimeout(() => {
+        room.turn = null;
+        if (rooms.get(roomId) !== room) return;   // deleted meanwhile
+        const out = nextOut(room);
+        if (out) rotateSlot(roomId, room, out);
+        updateQueue(roomId, room);
+        io.to(roomId).emit('room:updated', roomInfo(roomId));
+        broadcastRoomList();
+      }, ms),
+    };
+  }
+  return moved;
+}
+
+// ─── Emulator host migration ──────────────────────────────────────────────────
+// When the emulator page leaves, the members are asked one at a time to take
+// over (emulator:offer): the room host first, then players by slot. Only
+// pages that can run EmulatorJS are asked – viewers and idle emulator pages,
+// not phone controllers or spectators. A viewer that accepts reloads as the
+// emulator page and rejoins with its resume token, keeping its slot; every
+// other seat stays as it was. The new emulator boots room.romHash from the
+// library and continues from the room's last checkpoint.
+//
+// room.handover: { tried: Set<socketId>, offer: socketId | null,
+//                  accepted: resume token | null, timer }
+
+function startHandover (roomId, room) {
+  cancelHandover(room);
+  if (!room.romHash) return;
+  room.handover = { tried: new Set(), offer: null, accepted: null, timer: null };
+  room.handover.timer = setTimeout(() => offerEmulator(roomId, room), HANDOVER_DELAY_MS);
+}
+
+function cancelHandover (room) {
+  if (!room.handover) return;
+  clearTimeout(room.handover.timer);
+  room.handover = null;
+}
+
+/**
+ * The room's newest checkpoint, if slot 0 still holds the one this room's
+ * emulator wrote (room.checkpoint, set by state:checkpoint).
+ */
+function roomCheckpoint (roomId, room) {
+  const mine = room.checkpoint;
+  if (!room.romHash || !mine || mine.romHash !== room.romHash) return null;
+  try {
+    const meta = JSON.parse(fs.readFileSync(statePath(room.romHash, CHECKPOINT_SLOT, 'json'), 'utf8'));
+    return meta.roomId === roomId && meta.savedAt === mine.savedAt ? meta : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/** What the new emulator page needs to pick the game up. */
+function takeoverInfo (roomId, room) {
+  const rom = findRom(room.romHash);
+  if (!rom) return null;
+  const checkpoint = roomCheckpoint(roomId, room);
+  return {
+    romHash:      rom.id,
+    romName:      room.romName || rom.displayName,
+    system:       rom.system,
+    url:          rom.url,
+    checkpointAt: checkpoint ? checkpoint.savedAt : null,
+  };
+}
 
-// ─── Upload middleware ─────────────────────────────────────────────────────────
-const storage = multer.diskStorage({
-  destination: (_, __, cb) => cb(null, ROM_DIR),
-  filename:    (_, file, cb) => cb(null, `${Date.now()}_${file.originalname}`)
-});
-const upload = multer({
-  storage,
-  limits: { fileSize: 8 * 1024 * 1024 },         // 8 MB max
-  fileFilter: (_, file, cb) => {
-    const ext = path.extname(file.originalname).toLowerCase();
-    cb(null, ['.smc', '.sfc', '.rom', '.bin'].includes(ext));
+// Offers the role to the next member, or gives up when nobody is left
+function offerEmulator (roomId, room) {
+  const h = room.handover;
+  if (!h || rooms.get(roomId) !== room || room.emulatorSocket) return cancelHandover(room);
+  clearTimeout(h.timer);
+  const game = takeoverInfo(roomId, room);
+  const next = game && [...room.players.entries()]
+    .filter(([id, p]) => (p.role === 'viewer' || p.role === 'emulator') && !h.tried.has(id))
+    .sort(([a, pa], [b, pb]) => (b === room.host) - (a === room.host) || (pa.slot || Infinity) - (pb.slot || Infinity))[0];
+  if (!next) {
+    cancelHandover(room);
+    handovers.inc({ outcome: 'none' });
+    systemMessage(roomId, 'noemulator');
+    console.log(`  ↳ No one could take over the emulator in room "${roomId}"${game ? '' : ' (ROM not in the library)'}`);
+    return;
   }
-});
+  const [socketId] = next;
+  h.tried.add(socketId);
+  h.offer    = socketId;
+  h.accepted = null;
+  h.timer    = setTimeout(() => offerEmulator(roomId, room), HANDOVER_OFFER_MS);
+  io.to(socketId).emit('emulator:offer', { ...game, expiresIn: HANDOVER_OFFER_MS });
+  console.log(`  ↳ Emulator offered to ${socketId} in room "${roomId}"`);
+}
 
-// ─── Express + HTTP + Socket.IO ────────────────────────────────────────────────
-const app    = express();
-const server = http.createServer(app);
-const io     = new Server(server, {
-  cors: { origin: '*' },
-  pingTimeout:  20000,   // 20 s — faster dead-socket detection
-  pingInterval: 10000,   // heartbeat every 10 s
-  // Disable per-message deflate: compression adds latency to small joypad
-  // packets and the gains are negligible for tiny bitmask payloads.
-  perMessageDeflate: false,
-  // Prefer WebSocket from the start; skip long-polling upgrade overhead.
-  transports: ['websocket', 'polling'],
-});
+/**
+ * Makes `socket` the room's emulator: it gets a viewer:joined for every
+ * member so it can start their streams, and the members learn a host is back.
+ */
+function announceEmulator (socket, roomId, room) {
+  room.emulatorSocket = socket.id;
+  for (const [viewerSockId, p] of room.players) {
+    if (viewerSockId === socket.id) continue;       // skip self
+    if (p.role === 'emulator') continue;            // skip other emulators
+    socket.emit('viewer:joined', {
+      socketId: viewerSockId,
+      slot:     p.slot,
+      name:     p.name,
+    });
+  }
+  // Tell all existing viewers that an emulator host is now present so they
+  // can re-arm their offer-wait timers and request a stream automatically.
+  socket.to(roomId).emit('emulator:joined', {});
+}
 
-app.use(express.static(path.join(__dirname, 'public')));
-app.use(express.json());
+// ─── Chat ─────────────────────────────────────────────────────────────────────
+// Messages go through room.chat so joiners get the recent history; see
+// lib/chat.js for the message shapes.
+function postChat (roomId, msg) {
+  const room = rooms.get(roomId);
+  if (!room) return;
+  io.to(roomId).emit('chat:msg', room.chat.push(msg));
+  persistRooms();
+}
 
-// List uploaded ROMs
-app.get('/api/roms', (_, res) => {
-  res.json(getRomList());
-});
+function systemMessage (roomId, event, args = {}) {
+  postChat(roomId, { type: 'system', event, ...args });
+}
 
-// Serve ROM files
-app.use('/roms', express.static(ROM_DIR));
+function chatError (socket, code, message) {
+  socket.emit('chat:error', { code, message });
+}
 
-// Upload a ROM
-app.post('/api/upload', upload.single('rom'), (req, res) => {
-  if (!req.file) return res.status(400).json({ error: 'Invalid file.' });
-  io.emit('rom:list', getRomList());   // broadcast updated list
-  res.json({ name: req.file.filename, url: `/roms/${req.file.filename}` });
-});
+/** /mute and /unmute: host only, by player name (also future joins under it). */
+function chatCommand (socket, room, { command, arg }) {
+  const { roomId } = socket.data;
+  if (command !== 'mute' && command !== 'unmute') {
+    return chatError(socket, 'unknown-command', `Unknown command /${command}.`);
+  }
+  if (room.host !== socket.id) return chatError(socket, 'not-host', 'Only the host can mute players.');
+  const name = normalizeName(arg.replace(/^@/, ''));
+  if (!name) return chatError(socket, 'bad-command', `Usage: /${command} <name>`);
+  if (name === normalizeName(room.players.get(socket.id)?.name)) {
+    return chatError(socket, 'bad-command', 'You cannot mute yourself.');
+  }
+  const display = [...room.players.values()].find(p => normalizeName(p.name) === name)?.name || arg.replace(/^@/, '');
+  if (command === 'mute') {
+    if (room.muted.has(name)) return;
+    room.muted.add(name);
+  } else if (!room.muted.delete(name)) {
+    return;
+  }
+  systemMessage(roomId, command, { name: display });
+}
 
-function getDisplayName (filename) {
-  return filename
-    .replace(/^(\d+_)+/, '')       // strip one or more timestamp prefixes
-    .replace(/\.[^.]+$/, '')       // strip file extension
-    .replace(/\s*\(.*?\)\s*/g, '') // strip region tags like (USA)
-    .trim();
+// ─── Chat plays ───────────────────────────────────────────────────────────────
+// A crowd room (settings.crowd.mode) turns chat commands (lib/crowd-play.js)
+// into presses on settings.crowd.slot:
+//   anarchy    every command is pressed as soon as it arrives
+//   democracy  the first command opens a vote of `seconds`; each member's last
+//              command counts once and the winner is pressed when it closes
+// The crowd's buttons sit in room.held under CROWD_ID and reach the emulator
+// through sendJoypad() like joypad:input; mergeSlot() adds them to whoever is
+// seated in the slot. Members wait `cooldown` seconds between commands, the
+// host blocks buttons (settings.crowd.blocked) and vetoes the running vote or
+// presses (crowd:veto). The room follows along through crowd:tally.
+const CROWD_ID = 'crowd';   // room.held key; socket ids never look like this
+
+function crowdSlot (room) {
+  return room.settings.crowd.mode !== 'off' ? room.settings.crowd.slot : null;
 }
 
-function getRomList () {
-  const all = fs.readdirSync(ROM_DIR)
-    .filter(f => ['.smc', '.sfc', '.rom', '.bin'].includes(path.extname(f).toLowerCase()))
-    .map(f => ({ name: f, displayName: getDisplayName(f), url: `/roms/${f}` }));
+/** room:settings crowd; fields that are missing or out of range keep their value. */
+function cleanCrowdSettings (room, raw) {
+  const current = room.settings.crowd;
+  const clamp = (v, { min, max }, fallback) => (Number.isFinite(v) ? Math.round(Math.min(max, Math.max(min, v))) : fallback);
+  return {
+    mode:     CROWD_MODES.includes(raw.mode) ? raw.mode : current.mode,
+    slot:     Number.isInteger(raw.slot) && raw.slot >= 1 && raw.slot <= roomMaxPlayers(room) ? raw.slot : current.slot,
+    seconds:  clamp(raw.seconds, CROWD_SECONDS, current.seconds),
+    cooldown: clamp(raw.cooldown, CROWD_COOLDOWN, current.cooldown),
+    blocked:  Array.isArray(raw.blocked)
+      ? [...new Set(raw.blocked.filter(b => Object.hasOwn(Systems.PAD_BITS, b)))]
+      : current.blocked,
+  };
+}
 
-  // Deduplicate by displayName – prefer files without a timestamp prefix
-  const seen = new Map();
-  all.forEach(r => {
-    const existing = seen.get(r.displayName);
-    const hasTimestamp = /^\d{10,}_/.test(r.name);
-    if (!existing || (!hasTimestamp && /^\d{10,}_/.test(existing.name))) {
-      seen.set(r.displayName, r);
-    }
-  });
-  return [...seen.values()];
+// A button stays down while any press holds it
+function applyCrowd (room) {
+  const slot = crowdSlot(room);
+  if (!slot) return;
+  const buttons = room.crowd.presses.reduce((m, n, bit) => (n > 0 ? m | (1 << bit) : m), 0);
+  room.held.set(CROWD_ID, { buttons: buttons & Systems.get(room.system).mask, at: ++heldSeq });
+  sendJoypad(room, slot);
 }
 
-// ─── Room helpers ─────────────────────────────────────────────────────────────
-function getAllRooms () {
-  return [...rooms.entries()].map(([id, room]) => ({
-    id,
-    playerCount: room.players.size,
-    maxPlayers:  MAX_PLAYERS,
-    players: [...room.players.values()].map(p => ({ slot: p.slot, name: p.name })),
-    romName: room.romName || null,
-  }));
+/** Presses `button` `times` times: PRESS_MS down, GAP_MS up. */
+function pressCrowd (room, { button, times }) {
+  const bit = Systems.PAD_BITS[button];
+  const later = (ms, fn) => {
+    const timer = setTimeout(() => {
+      room.crowd.timers.delete(timer);
+      fn();
+      applyCrowd(room);
+    }, ms);
+    room.crowd.timers.add(timer);
+  };
+  for (let i = 0; i < times; i++) {
+    const at = i * (PRESS_MS + GAP_MS);
+    later(at, () => room.crowd.presses[bit]++);
+    later(at + PRESS_MS, () => room.crowd.presses[bit]--);
+  }
 }
 
-function broadcastRoomList () {
-  io.emit('rooms:list', getAllRooms());
+/** Drops the open vote and every press, and lets go of the crowd's buttons. */
+function stopCrowd (room) {
+  const crowd = room.crowd;
+  for (const timer of crowd.timers) clearTimeout(timer);
+  crowd.timers.clear();
+  crowd.presses.fill(0);
+  if (crowd.vote) clearTimeout(crowd.vote.timer);
+  crowd.vote = null;
+  room.held.delete(CROWD_ID);
+  releaseSlot(room, crowdSlot(room));
 }
 
-// List all active rooms
-app.get('/api/rooms', (_, res) => res.json(getAllRooms()));
+// The open vote without commands the host has blocked since they were cast
+function countVotes (room) {
+  const { blocked } = room.settings.crowd;
+  return tallyVotes([...room.crowd.vote.votes.values()].filter(v => !blocked.includes(v.button)));
+}
 
-// ─── Room / session state ─────────────────────────────────────────────────────
 /**
- * rooms: Map<roomId, { players: Map<socketId, playerInfo>, host: socketId | null }>
- * playerInfo: { slot: 1-4, name: string }
+ * crowd:tally to the room: { mode, slot } plus
+ *   anarchy       last: { command, name }, after every command
+ *   democracy     votes: [{ command, count }], total, winner, endsIn (ms left);
+ *                 winner is the leader while endsIn is set, the result once it
+ *                 is null; vetoed: true when the host threw the vote out
+ * Just { mode, slot } means nothing is running (mode or slot changed).
+ * `to` defaults to the whole room.
  */
-const rooms = new Map();
+function crowdTally (roomId, room, result = {}, to = io.to(roomId)) {
+  const { mode, slot } = room.settings.crowd;
+  to.emit('crowd:tally', { mode, slot, ...result });
+}
 
-function getOrCreateRoom (roomId) {
-  if (!rooms.has(roomId)) {
-    rooms.set(roomId, {
-      players:        new Map(),
-      host:           null,   // first socket – for UI/room management
-      emulatorSocket: null,   // the socket actually running EmulatorJS
-    });
-  }
-  return rooms.get(roomId);
+function closeVote (roomId, room) {
+  const vote = room.crowd.vote;
+  if (!vote || rooms.get(roomId) !== room) return;
+  const result = countVotes(room);
+  room.crowd.vote = null;
+  if (result.winner) pressCrowd(room, [...vote.votes.values()].find(v => v.command === result.winner.command));
+  crowdTally(roomId, room, { ...result, endsIn: null });
 }
 
-function assignSlot (room) {
-  const used = new Set([...room.players.values()].map(p => p.slot));
-  for (let s = 1; s <= MAX_PLAYERS; s++) {
-    if (!used.has(s)) return s;
+/** A chat command from `player` in a crowd room: a press or a vote. */
+function crowdInput (socket, room, player, command) {
+  const { roomId } = socket.data;
+  const settings = room.settings.crowd;
+  if (settings.blocked.includes(command.button)) {
+    return chatError(socket, 'crowd-blocked', `The host blocked "${command.command}".`);
   }
-  return null; // full
+  // Timed from each member's last command, so a new cooldown applies at once
+  const now  = Date.now();
+  const last = room.crowd.lastCommand;
+  if (now - (last.get(player.token) || 0) < settings.cooldown * 1000) {
+    return chatError(socket, 'crowd-cooldown', 'Wait a moment before your next command.');
+  }
+  for (const [token, at] of last) {
+    if (now - at >= CROWD_COOLDOWN.max * 1000) last.delete(token);
+  }
+  last.set(player.token, now);
+
+  if (settings.mode === 'anarchy') {
+    pressCrowd(room, command);
+    return crowdTally(roomId, room, { last: { command: command.command, name: player.name } });
+  }
+  if (!room.crowd.vote) {
+    const ms = settings.seconds * 1000;
+    room.crowd.vote = { votes: new Map(), endsAt: now + ms, timer: setTimeout(() => closeVote(roomId, room), ms) };
+  }
+  const { votes, endsAt } = room.crowd.vote;
+  votes.delete(player.token);   // a changed vote counts from now, for ties
+  votes.set(player.token, { ...command, at: now });
+  crowdTally(roomId, room, { ...countVotes(room), endsIn: endsAt - now });
 }
 
-function roomInfo (roomId) {
-  const room = rooms.get(roomId);
-  if (!room) return null;
+// ─── Event validation ─────────────────────────────────────────────────────────
+// Every event a client may send, with who may send it, its payload shape and
+// limits (lib/event-guard.js). Anything else is dropped before the handlers.
+const ROM_HASH = 'string:40';
+const JOIN_ROLES = ['emulator', 'viewer', 'spectator', 'controller'];
+
+/** Roles of `socket` in its room: member, player (has a slot), host, emulator. */
+function socketRoles (socket) {
+  const roles = new Set();
+  const room  = rooms.get(socket.data.roomId);
+  if (!room || !room.players.has(socket.id)) return roles;
+  roles.add('member');
+  if (socket.data.slot)                  roles.add('player');
+  if (room.host === socket.id)           roles.add('host');
+  if (room.emulatorSocket === socket.id) roles.add('emulator');
+  return roles;
+}
+
+// WebRTC signalling only goes to another member of the sender's room
+function samePeerRoom (socket, { to }) {
+  const room = rooms.get(socket.data.roomId);
+  return room && to !== socket.id && room.players.has(to) ? null : 'Target is not in your room.';
+}
+
+const EVENT_RULES = {
+  'room:join': {
+    who: 'any', rate: [5, 0.5],
+    payload: { roomId: 'string:64?', playerName: 'string:32?', role: 'string:16?', password: 'string:128?',
+               unlisted: 'boolean?', resumeToken: 'string:64?' },
+    check: (socket, { role }) => socket.data.roomId ? 'Already in a room.'
+      : role != null && !JOIN_ROLES.includes(role) ? 'Unknown role.' : null,
+  },
+  'room:promote':    { who: 'host', rate: [10, 2], payload: { socketId: 'string:32' } },
+  'room:demote':     { who: 'host', rate: [10, 2], payload: { socketId: 'string:32' } },
+  'room:swap-slots': { who: 'host', rate: [10, 2], payload: { a: 'uint', b: 'uint' } },
+  'room:share':      { who: 'host', rate: [10, 2], payload: { socketId: 'string:32', slot: 'uint', part: 'string:8?' } },
+  'room:kick':       { who: 'host', rate: [10, 2], payload: { socketId: 'string:32' } },
+  'room:ban':        { who: 'host', rate: [10, 2], payload: { socketId: 'string:32?', name: 'string:64?' } },
+  'room:setrom':     { who: ['host', 'emulator'], rate: [5, 1], payload: { romName: 'string:256?', romHash: 'string:40?', system: 'string:16?' } },
+  'room:settings':   { who: 'host', rate: [10, 2], payload: { assists: 'boolean?', ports: 'object?', system: 'string:16?', rotation: 'object?', share: 'string:8?', crowd: 'object?' } },
+  'room:layout':     { who: 'host', rate: [5, 1], maxBytes: 8192, payload: { layout: 'object?' } },
+  'queue:join':      { who: 'member', rate: [5, 1] },
+  'queue:leave':     { who: 'member', rate: [5, 1] },
+  'queue:next':      { who: 'host', rate: [5, 1], payload: { slot: 'uint?' } },
+  'crowd:veto':      { who: 'host', rate: [5, 1] },
+
+  // Controllers send at 60 Hz even when idle
+  'joypad:input': {
+    who: 'player', rate: [120, 90], maxBytes: 256,
+    payload: { buttons: 'uint', axes: 'object?', seq: 'uint?', t: 'number?' },
+  },
+  'emu:frame':     { who: 'emulator', rate: [30, 30], maxBytes: 512 * 1024, payload: 'any' },
+  'emu:savestate': { who: 'emulator', rate: [3, 0.5], maxBytes: MAX_STATE_SIZE, payload: 'any' },
+  'emulator:game-started': { who: 'emulator', rate: [5, 1] },
+  'emulator:answer': { who: 'member', rate: [5, 1], payload: { accept: 'boolean' } },
+
+  'state:list':   { who: 'any', rate: [10, 2], payload: { romHash: ROM_HASH } },
+  'state:load':   { who: 'any', rate: [10, 2], payload: { romHash: ROM_HASH, slot: 'uint' } },
+  'state:delete': { who: 'host', rate: [10, 2], payload: { romHash: ROM_HASH, slot: 'uint' } },
+  'state:checkpoint': {
+    who: 'emulator', rate: [3, 0.5], maxBytes: MAX_STATE_SIZE + 1024,
+    payload: { romHash: ROM_HASH, state: `buffer:${MAX_STATE_SIZE}` },
+  },
+  'state:save': {
+    who: ['host', 'emulator'], rate: [3, 0.5], maxBytes: MAX_STATE_SIZE + 512 * 1024,
+    payload: { romHash: ROM_HASH, romName: 'string:256?', slot: 'uint',
+               state: `buffer:${MAX_STATE_SIZE}`, thumbnail: `buffer:${512 * 1024}?` },
+  },
+  'movie:start': {
+    who: 'host', rate: [3, 0.2], maxBytes: MAX_STATE_SIZE + 1024,
+    payload: { romHash: ROM_HASH, romName: 'string:256?', state: `buffer:${MAX_STATE_SIZE}` },
+  },
+  'movie:stop': { who: 'host', rate: [3, 0.2] },
+  'media:capture': { who: 'member', rate: [3, 0.1], payload: { kind: 'string:8?' } },
+
+  'webrtc:offer':  { who: 'emulator', rate: [20, 5], maxBytes: 64 * 1024, payload: { to: 'string:32', offer: 'object' }, check: samePeerRoom },
+  'webrtc:answer': { who: 'member', rate: [20, 5], maxBytes: 64 * 1024, payload: { to: 'string:32', answer: 'object' }, check: samePeerRoom },
+  'webrtc:ice':    { who: 'member', rate: [100, 50], payload: { to: 'string:32', candidate: 'object' }, check: samePeerRoom },
+  'webrtc:request-offer': { who: 'member', rate: [5, 1] },
+
+  'perf:ping': { who: 'any', rate: [10, 5], payload: { rtt: 'number?' } },
+  'perf:latency': {
+    who: 'member', rate: [3, 1],
+    payload: { samples: 'uint', total: 'number', network: 'number', host: 'number', video: 'number', p95: 'number?' },
+  },
+  'chat:msg':  { who: 'member', rate: [10, 5], payload: { text: 'string:1000' } },   // chat has its own, stricter limit
+};
+
+function auditReject (entry, socket) {
+  console.warn(`  [guard] ${entry.socketId} "${entry.event}" rejected: ${entry.code} (${entry.reason})`);
+  const line = JSON.stringify({ ...entry, address: clientAddress(socket) }) + '\n';
+  fs.stat(AUDIT_FILE, (err, st) => {
+    const append = () => fs.appendFile(AUDIT_FILE, line, () => {});
+    if (!err && st.size > MAX_AUDIT_LOG) fs.rename(AUDIT_FILE, AUDIT_FILE + '.1', append);
+    else append();
+  });
+}
+
+const guard = new EventGuard({ rules: EVENT_RULES, roles: socketRoles, onReject: auditReject });
+
+// ─── Admin ────────────────────────────────────────────────────────────────────
+// /admin (public/admin.html) drives these endpoints with the ADMIN_TOKEN as a
+// bearer token, so it works on an offline LAN box with no login service.
+const adminFailures = new Map();   // address → RateLimiter for wrong tokens
+
+function tokenMatches (given) {
+  const digest = s => crypto.createHash('sha256').update(String(s)).digest();
+  return crypto.timingSafeEqual(digest(given), digest(ADMIN_TOKEN));
+}
+
+function requireAdmin (req, res, next) {
+  const given = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+  if (given && tokenMatches(given)) return next();
+  const address = req.ip;
+  if (!adminFailures.has(address)) adminFailures.set(address, new RateLimiter({ burst: 10, perSecond: 0.1 }));
+  if (!adminFailures.get(address).take()) return res.status(429).json({ error: 'Too many attempts.' });
+  res.status(401).json({ error: 'Admin token required.' });
+}
+
+/**
+ * For routes open to the admin and to someone in a room: requests with a
+ * bearer token go through requireAdmin, the rest need allow(req).
+ */
+function adminOr (allow, error) {
+  return (req, res, next) => {
+    if (req.get('authorization')) return requireAdmin(req, res, next);
+    if (allow(req)) return next();
+    res.status(403).json({ error });
+  };
+}
+
+function socketSummary (s) {
   return {
-    id: roomId,
-    host: room.host,
-    players: [...room.players.entries()].map(([id, p]) => ({ id, ...p }))
+    id:          s.id,
+    address:     clientAddress(s),
+    roomId:      s.data.roomId || null,
+    connectedAt: s.handshake.issued,
+    transport:   s.conn.transport.name,
   };
 }
 
+/** Disconnects every member, drops held seats and deletes the room. */
+function closeRoom (roomId, message) {
+  const room = rooms.get(roomId);
+  if (!room) return false;
+  dropRoom(roomId, room);
+  for (const id of room.players.keys()) {
+    const s = io.sockets.sockets.get(id);
+    if (!s) continue;
+    s.emit('room:kicked', { reason: 'closed', message });
+    s.data.roomId = null;   // skip the disconnect cleanup, the room is gone
+    s.disconnect(true);
+  }
+  broadcastRoomList();
+  console.log(`  [admin] Room "${roomId}" closed`);
+  return true;
+}
+
+app.get('/admin', (_, res) => res.sendFile(path.join(__dirname, 'public', 'admin.html')));
+
+app.get('/api/admin/overview', requireAdmin, (_, res) => {
+  const sockets = [...io.sockets.sockets.values()];
+  res.json({
+    uptime: Math.round(process.uptime()),
+    rooms:  [...rooms.entries()].map(([id, room]) => ({
+      id,
+      romName:   room.romName || null,
+      system:    room.system,
+      password:  !!room.password,
+      unlisted:  room.unlisted,
+      recording: !!room.movie,
+      chat:      room.chat.messages.length,
+      members:   [...room.players.entries()].map(([sid, p]) => {
+        const s = io.sockets.sockets.get(sid);
+        return {
+          ...(s ? socketSummary(s) : { id: sid }),
+          name: p.name, role: p.role, slot: p.slot,
+          host: room.host === sid, emulator: room.emulatorSocket === sid,
+        };
+      }),
+      away: [...room.reserved.values()].map(p => ({ name: p.name, role: p.role, slot: p.slot })),
+    })),
+    // Sockets in no room: lobby pages and joins still in progress
+    lobby: sockets.filter(s => !s.data.roomId).map(socketSummary),
+    audit: guard.audit.slice(-50).reverse(),
+  });
+});
+
+app.post('/api/admin/rooms/:roomId/close', requireAdmin, (req, res) => {
+  if (!closeRoom(req.params.roomId, 'The room was closed by the server admin.')) {
+    return res.status(404).json({ error: 'Room not found.' });
+  }
+  res.json({ ok: true });
+});
+
+app.post('/api/admin/sockets/:socketId/disconnect', requireAdmin, (req, res) => {
+  const s = io.sockets.sockets.get(req.params.socketId);
+  if (!s) return res.status(404).json({ error: 'Socket not found.' });
+  s.emit('room:kicked', { reason: 'admin', message: 'You were disconnected by the server admin.' });
+  s.data.kicked = true;   // no seat is held for it
+  s.disconnect(true);
+  console.log(`  [admin] ${s.id} disconnected`);
+  res.json({ ok: true });
+});
+
+// body: { text, roomId? } — every room when roomId is missing
+app.post('/api/admin/announce', requireAdmin, (req, res) => {
+  const text = cleanChatText(req.body && req.body.text);
+  if (!text) return res.status(400).json({ error: 'Missing "text".' });
+  const roomId = req.body.roomId ? String(req.body.roomId) : null;
+  if (roomId && !rooms.has(roomId)) return res.status(404).json({ error: 'Room not found.' });
+  const targets = roomId ? [roomId] : [...rooms.keys()];
+  for (const id of targets) systemMessage(id, 'announce', { text });
+  res.json({ rooms: targets.length });
+});
+
 // ─── Socket.IO events ──────────────────────────────────────────────────────────
 io.on('connection', socket => {
   console.log(`[+] ${socket.id} connected`);
+  socket.use(guard.middleware(socket));
 
   // ── Join a room ──────────────────────────────────────────────────────────────
-  socket.on('room:join', ({ roomId, playerName, role }) => {
+  socket.on('room:join', ({ roomId, playerName, role, password, unlisted, resumeToken }) => {
     roomId = String(roomId || 'default').slice(0, 32);
-    const room  = getOrCreateRoom(roomId);
-    const slot  = assignSlot(room);
-
-    if (slot === null) {
-      socket.emit('room:error', { message: 'Room is full (max 4 players).' });
+    const requested = role;
+    const existing = rooms.get(roomId);
+    // A valid resume token proves earlier admission, so it skips the password
+    const seat     = existing ? claimSeat(existing, String(resumeToken || '')) : null;
+    const refusal  = existing && !seat && joinRefusal(existing, socket, { playerName, password });
+    if (refusal) {
+      socket.emit('room:error', refusal);
+      console.log(`  ↳ ${socket.id} refused from room "${roomId}" (${refusal.code})`);
       return;
     }
 
-    const isHost       = room.players.size === 0;
+    const room  = getOrCreateRoom(roomId, { password, unlisted });
+    let slot, name, token, part, playMs = 0, seatedAt = null;
+    if (seat) {
+      ({ slot, name, role, token, part, playMs = 0, seatedAt = null } = seat);
+      // A member who accepted the emulator role comes back as the emulator page
+      if (requested === 'emulator' && room.handover && room.handover.accepted === token) role = 'emulator';
+    } else {
+      // The emulator role unlocks the stream and the emulator-only events, so
+      // a page only gets it here while the room has no emulator and none is
+      // being handed over; others get it through a host migration (the
+      // handover token above) and watch until then
+      if (role === 'emulator' && (room.emulatorSocket || room.handover)) role = 'viewer';
+      // Spectators never take a slot; players who find every slot taken are
+      // seated as spectators instead of being turned away. The emulator page
+      // always needs a slot for its local player.
+      slot = role === 'spectator' ? null : assignSlot(room);
+      if (slot === null && (role === 'emulator' || spectatorsFull(room))) {
+        socket.emit('room:error', { code: 'room-full', message: `Room is full (max ${roomMaxPlayers(room)} players).` });
+        return;
+      }
+      role  = slot ? (role || 'controller') : 'spectator';
+      name  = playerName || (slot ? `Player ${slot}` : 'Spectator');
+      token = newResumeToken();
+    }
     const isEmulator   = (role === 'emulator');     // page running EmulatorJS
-    room.players.set(socket.id, { slot, name: playerName || `Player ${slot}`, role: role || 'controller' });
-    if (isHost)     room.host           = socket.id;
-    if (isEmulator) room.emulatorSocket = socket.id; // always track who owns the emulator
+    const takeover     = isEmulator && seat && room.handover && room.handover.accepted === token
+      ? takeoverInfo(roomId, room) : null;
+    // An emulator page back from a drop after someone else took over keeps
+    // out of the way; the game goes on at its successor
+    const superseded   = !!(isEmulator && seat && room.emulatorSocket && room.players.has(room.emulatorSocket));
+    if (isEmulator && !superseded) cancelHandover(room);   // the old emulator is back, or its successor
+
+    // A resuming host takes the room back unless a real host (not a viewer
+    // picked as a last resort) has been assigned in the meantime. Whoever
+    // walks into an empty room while the host's seat is held (e.g. first back
+    // after a restart) only stands in.
+    const current      = room.players.get(room.host);
+    const hostIsFallback = !current || current.role === 'viewer' || current.role === 'spectator' || room.hostStandIn;
+    const isHost       = room.players.size === 0 || !!(seat?.wasHost && hostIsFallback);
+    const takesOver    = !!(isHost && room.host && room.host !== socket.id && current);
+    room.players.set(socket.id, { slot, name, role, token, playMs, seatedAt, ...(part && { part }) });
+    startPlayClock(room.players.get(socket.id));
+    if (takesOver) {
+      socket.to(roomId).emit('room:newhost', { host: socket.id });
+    }
+    if (isHost) {
+      room.host        = socket.id;
+      room.hostStandIn = !seat?.wasHost && [...room.reserved.values()].some(s => s.wasHost);
+    }
+    if (isEmulator && !superseded) room.emulatorSocket = socket.id; // always track who owns the emulator
 
     socket.join(roomId);
     socket.data.roomId    = roomId;
     socket.data.slot      = slot;
+    socket.data.role      = role;
     socket.data.isEmulator = isEmulator;
 
-    socket.emit('room:joined', { slot, isHost, roomId, info: roomInfo(roomId) });
-    socket.to(roomId).emit('room:updated', roomInfo(roomId));
+    socket.emit('room:joined', {
+      slot, role, isHost, roomId, resumeToken: token, resumed: !!seat,
+      system: Systems.get(room.system),   // button map, touch layout and player count for controllers
+      info: roomInfo(roomId),
+      ...(takeover && { takeover }),      // boot this game and continue from the checkpoint
+      ...(superseded && { superseded }),  // another page runs the game now
+    });
+    socket.emit('chat:history', { messages: room.chat.list() });
+    if (room.padLayout) socket.emit('room:layout', { layout: room.padLayout });
+    if (room.crowd.vote) crowdTally(roomId, room, { ...countVotes(room), endsIn: room.crowd.vote.endsAt - Date.now() }, socket);
+    systemMessage(roomId, seat ? 'return' : 'join', { name, slot });
+    if (takesOver) systemMessage(roomId, 'host', { name });
+    // A queued member back from a drop may find a free slot; they get room:role
+    // and, like everyone else, the room:updated that says so
+    if (updateQueue(roomId, room)) io.to(roomId).emit('room:updated', roomInfo(roomId));
+    else socket.to(roomId).emit('room:updated', roomInfo(roomId));
     broadcastRoomList();
 
     // Notify emulator host of new viewer so they can initiate a WebRTC stream
@@ -179,92 +2289,461 @@ io.on('connection', socket => {
       io.to(room.emulatorSocket).emit('viewer:joined', {
         socketId: socket.id,
         slot,
-        name: playerName || `Player ${slot}`,
+        name,
       });
     }
 
     // When a new emulator joins, notify it of ALL existing viewers so it can
     // immediately start WebRTC offers to viewers already waiting in the room.
-    if (isEmulator) {
-      for (const [viewerSockId, p] of room.players) {
-        if (viewerSockId === socket.id) continue;       // skip self
-        if (p.role === 'emulator') continue;            // skip other emulators
-        socket.emit('viewer:joined', {
-          socketId: viewerSockId,
-          slot:     p.slot,
-          name:     p.name,
-        });
+    if (isEmulator && !superseded) announceEmulator(socket, roomId, room);
+    if (takeover) {
+      handovers.inc({ outcome: 'taken' });
+      systemMessage(roomId, 'emulator', { name });
+    }
+
+    console.log(`  ↳ ${socket.id} ${seat ? 'resumed' : 'joined'} room "${roomId}" as ${slot ? `Player ${slot}` : 'spectator'}${isHost ? ' [HOST]' : ''}`);
+  });
+
+  // ── Host seat management: promote / demote / swap ────────────────────────────
+  socket.on('room:promote', ({ socketId } = {}) => {
+    const room = hostRoom(socket);
+    const p    = room && room.players.get(socketId);
+    if (!p || p.slot) return;
+    const slot = assignSlot(room);
+    if (slot === null) {
+      socket.emit('room:error', { code: 'room-full', message: `No free joypad slot (max ${roomMaxPlayers(room)} players).` });
+      return;
+    }
+    seatPlayer(room, socketId, slot);   // jumps the queue, if they were in it
+    updateQueue(socket.data.roomId, room);
+    io.to(socket.data.roomId).emit('room:updated', roomInfo(socket.data.roomId));
+    broadcastRoomList();
+  });
+
+  socket.on('room:demote', ({ socketId } = {}) => {
+    const room = hostRoom(socket);
+    const p    = room && room.players.get(socketId);
+    // The emulator page keeps its slot — its local keyboard is that player
+    if (!p || !p.slot || socketId === room.emulatorSocket) return;
+    const slot = p.slot;
+    seatPlayer(room, socketId, null);
+    releaseSlot(room, slot);
+    updateQueue(socket.data.roomId, room);   // the head of the queue gets the slot
+    io.to(socket.data.roomId).emit('room:updated', roomInfo(socket.data.roomId));
+    broadcastRoomList();
+  });
+
+  // payload: { a, b } — slot numbers; either slot may be empty (plain move)
+  socket.on('room:swap-slots', ({ a, b } = {}) => {
+    const room = hostRoom(socket);
+    a = Number(a); b = Number(b);
+    if (!room) return;
+    const valid = s => Number.isInteger(s) && s >= 1 && s <= roomMaxPlayers(room) && !isReserved(room, s);
+    if (!valid(a) || !valid(b) || a === b) return;
+    // Everyone sharing a slot moves together
+    const pa = slotMembers(room, a);
+    const pb = slotMembers(room, b);
+    if (!pa.length && !pb.length) return;
+    for (const [id] of pa) seatPlayer(room, id, b);
+    for (const [id] of pb) seatPlayer(room, id, a);
+    releaseSlot(room, a);
+    releaseSlot(room, b);
+    io.to(socket.data.roomId).emit('room:updated', roomInfo(socket.data.roomId));
+    broadcastRoomList();
+  });
+
+  // ── Shared slots (see mergeSlot) ─────────────────────────────────────────────
+  // payload: { socketId, slot, part? } seats the member in `slot` next to
+  // whoever is there already. part (split mode): 'move', 'action' or 'all';
+  // without it a newcomer gets the half the others don't have. Sent for a
+  // member already in the slot, it only changes their part.
+  socket.on('room:share', ({ socketId, slot, part } = {}) => {
+    const room = hostRoom(socket);
+    const p    = room && room.players.get(socketId);
+    slot = Number(slot);
+    if (!p || (socketId === room.emulatorSocket && slot !== p.slot)) return;   // the emulator page's seat is fixed
+    if (!Number.isInteger(slot) || slot < 1 || slot > roomMaxPlayers(room)) return;
+    if (part !== undefined && !Object.hasOwn(Systems.PARTS, part)) return;
+
+    const { roomId } = socket.data;
+    const from   = p.slot;
+    const others = slotMembers(room, slot).filter(([id]) => id !== socketId);
+    if (from !== slot) {
+      seatPlayer(room, socketId, slot);
+      releaseSlot(room, from);
+    }
+    if (part) {
+      p.part = part;
+    } else if (!p.part && others.length) {
+      const taken = others.map(([, o]) => o.part || 'move');
+      p.part = taken.includes('move') ? 'action' : 'move';
+      for (const [, o] of others) o.part ??= 'move';
+    }
+    releaseSlot(room, slot);   // re-merge with the new parts
+    updateQueue(roomId, room);
+    io.to(roomId).emit('room:updated', roomInfo(roomId));
+    broadcastRoomList();
+  });
+
+  // ── Play queue (see updateQueue) ─────────────────────────────────────────────
+  // Spectators line up for a slot; ack: { position } or { error }
+  socket.on('queue:join', (_, ack) => {
+    if (typeof ack !== 'function') ack = () => {};
+    const { roomId } = socket.data;
+    const room   = rooms.get(roomId);
+    const player = room && room.players.get(socket.id);
+    if (!player) return ack({ error: 'Not in a room.' });
+    if (room.settings.rotation.rule === 'off') return ack({ error: 'The host has not turned the play queue on.' });
+    if (player.slot) return ack({ error: 'You already have a joypad slot.' });
+    if (!room.queue.includes(player.token)) room.queue.push(player.token);
+    updateQueue(roomId, room);
+    io.to(roomId).emit('room:updated', roomInfo(roomId));
+    persistRooms();
+    ack(player.slot ? { slot: player.slot } : { position: room.queue.indexOf(player.token) + 1 });
+  });
+
+  socket.on('queue:leave', (_, ack) => {
+    if (typeof ack !== 'function') ack = () => {};
+    const { roomId } = socket.data;
+    const room   = rooms.get(roomId);
+    const player = room && room.players.get(socket.id);
+    if (!player) return ack({ error: 'Not in a room.' });
+    dequeue(room, player.token);
+    updateQueue(roomId, room);
+    io.to(roomId).emit('room:updated', roomInfo(roomId));
+    persistRooms();
+    ack({ ok: true });
+  });
+
+  // Host: pass a controller on now. slot: whose turn ends (the "lost a life"
+  // button); without it, the player seated longest
+  socket.on('queue:next', ({ slot } = {}, ack) => {
+    if (typeof ack !== 'function') ack = () => {};
+    const room = hostRoom(socket);
+    if (!room) return ack({ error: 'Only the host can rotate players.' });
+    if (room.settings.rotation.rule === 'off') return ack({ error: 'The play queue is off.' });
+    if (!queueHead(room)) return ack({ error: 'Nobody is waiting in the queue.' });
+    const { roomId } = socket.data;
+    if (!rotateSlot(roomId, room, slot || nextOut(room))) return ack({ error: 'That slot cannot be passed on.' });
+    updateQueue(roomId, room);
+    io.to(roomId).emit('room:updated', roomInfo(roomId));
+    broadcastRoomList();
+    ack({ ok: true });
+  });
+
+  // ── Chat plays: the host throws out the open vote and any running presses ──
+  socket.on('crowd:veto', (_, ack) => {
+    if (typeof ack !== 'function') ack = () => {};
+    const room = hostRoom(socket);
+    if (!room) return ack({ error: 'Only the host can veto.' });
+    if (!crowdSlot(room)) return ack({ error: 'Chat plays is off.' });
+    const { roomId } = socket.data;
+    const result = room.crowd.vote ? countVotes(room) : { votes: [], total: 0 };
+    stopCrowd(room);
+    crowdTally(roomId, room, { ...result, winner: null, endsIn: null, vetoed: true });
+    systemMessage(roomId, 'veto', { name: room.players.get(socket.id).name });
+    ack({ ok: true });
+  });
+
+  // ── Host moderation: kick / ban ──────────────────────────────────────────────
+  // Kicked and banned sockets are disconnected server-side, which stops the
+  // client from auto-reconnecting; the usual disconnect cleanup then runs.
+  socket.on('room:kick', ({ socketId } = {}) => {
+    const target = hostTarget(socket, socketId);
+    if (!target) return;
+    target.emit('room:kicked', { reason: 'kicked', message: 'You were removed from the room by the host.' });
+    target.data.kicked = true;
+    target.disconnect(true);
+    console.log(`  ↳ ${socketId} kicked from room "${socket.data.roomId}"`);
+  });
+
+  // payload: { socketId } bans that client's address, { name } bans a player name
+  socket.on('room:ban', ({ socketId, name } = {}) => {
+    const room = hostRoom(socket);
+    if (!room) return;
+
+    const banned = [];
+    const target = socketId ? hostTarget(socket, socketId) : null;
+    if (target) {
+      // Never ban the host's own address (e.g. a second tab on the same machine)
+      if (clientAddress(target) !== clientAddress(socket)) room.bans.addresses.add(clientAddress(target));
+      banned.push(target);
+    }
+    const bannedName = normalizeName(name);
+    if (bannedName) {
+      room.bans.names.add(bannedName);
+      for (const [id, p] of room.players) {
+        if (id === socket.id || normalizeName(p.name) !== bannedName) continue;
+        const s = io.sockets.sockets.get(id);
+        if (s && !banned.includes(s)) banned.push(s);
       }
-      // Tell all existing viewers that an emulator host is now present so they
-      // can re-arm their offer-wait timers and request a stream automatically.
-      socket.to(roomId).emit('emulator:joined', {});
     }
 
-    console.log(`  ↳ ${socket.id} joined room "${roomId}" as Player ${slot}${isHost ? ' [HOST]' : ''}`);
+    banned.forEach(s => {
+      s.emit('room:kicked', { reason: 'banned', message: 'You were banned from the room by the host.' });
+      s.data.kicked = true;
+      s.disconnect(true);
+    });
+    console.log(`  ↳ ban in room "${socket.data.roomId}": ${banned.length} socket(s)${bannedName ? `, name "${bannedName}"` : ''}`);
   });
 
   // ── Joypad input ─────────────────────────────────────────────────────────────
   /**
    * payload: { buttons: number, axes: { x: number, y: number } }
-   * buttons is a 16-bit bitmask matching SNES button layout:
+   * buttons is a bitmask in RetroPad order, the same for every system:
    *   bit 0  = B     bit 1  = Y     bit 2  = Select  bit 3  = Start
    *   bit 4  = Up    bit 5  = Down  bit 6  = Left    bit 7  = Right
    *   bit 8  = A     bit 9  = X     bit 10 = L       bit 11 = R
+   * Bits the room's system has no button for are dropped.
    */
   socket.on('joypad:input', (payload) => {
-    // Prefer socket.data (set at room:join time); accept payload as fallback
-    // in case of a mid-session reconnect where socket.data wasn't rehydrated yet.
-    const roomId = socket.data.roomId || String(payload.roomId || '');
-    const slot   = socket.data.slot   || Number(payload.slot)  || null;
-    if (!roomId || !slot) return;
+    // socket.data is authoritative: a reconnecting client re-joins with its
+    // resume token, which restores the slot before any input is accepted.
+    const { roomId, slot } = socket.data;
+    if (!roomId || !slot) return;   // not joined, or a spectator
 
     const room = rooms.get(roomId);
     if (!room) return;
 
+    joypadEvents.inc();
+    joypadMeter.mark();
+    room.held.set(socket.id, { buttons: (payload.buttons >>> 0) & Systems.get(room.system).mask, at: ++heldSeq });
     // Route ONLY to the emulator host — they inject inputs into EmulatorJS
-    const target = room.emulatorSocket || room.host;
-    if (!target) return;
-
-    io.to(target).emit('joypad:state', {
-      slot,
-      buttons: payload.buttons >>> 0,
-      axes:    payload.axes || { x: 0, y: 0 }
-    });
+    sendJoypad(room, slot, {
+      axes: cleanAxes(payload.axes),
+      seq:  payload.seq,
+      t:    payload.t,
+    }, socket.id);
   });
 
-  // ── Host broadcasts emulator state (for spectators) ──────────────────────────
+  // ── Emulator page broadcasts its state (for spectators) ─────────────────────
   socket.on('emu:frame', (frameData) => {
     const { roomId } = socket.data;
     if (!roomId) return;
     socket.to(roomId).emit('emu:frame', frameData);
   });
 
-  // ── Host requests save-state sync ────────────────────────────────────────────
+  // ── Emulator page pushes a save-state sync ──────────────────────────────────
   socket.on('emu:savestate', (data) => {
     const { roomId } = socket.data;
     if (!roomId) return;
     socket.to(roomId).emit('emu:savestate', data);
   });
 
+  // ── Server-side save states (same storage as /api/states) ────────────────────
+  // Every handler answers through the ack: { error } or the result.
+  socket.on('state:list', ({ romHash } = {}, ack) => {
+    if (typeof ack !== 'function') return;
+    if (!validRomHash(romHash)) return ack({ error: 'Invalid ROM hash.' });
+    ack({ states: listStates(romHash) });
+  });
+
+  // Host or emulator page, for the game the room is running; never the
+  // checkpoint slot (state:checkpoint)
+  socket.on('state:save', ({ romHash, romName, slot, state, thumbnail } = {}, ack) => {
+    if (typeof ack !== 'function') ack = () => {};
+    const room = rooms.get(socket.data.roomId);
+    slot = validStateSlot(slot);
+    if (!room || (room.host !== socket.id && room.emulatorSocket !== socket.id)) {
+      return ack({ error: 'Only the host or the emulator page can save states.' });
+    }
+    if (!validRomHash(romHash) || slot === null) return ack({ error: 'Invalid ROM hash or slot.' });
+    if (room.romHash !== romHash) return ack({ error: 'Only the running game can be saved.' });
+    if (slot === CHECKPOINT_SLOT) return ack({ error: 'The checkpoint slot is written by the emulator page.' });
+    if (!Buffer.isBuffer(state) || !state.length || state.length > MAX_STATE_SIZE) {
+      return ack({ error: 'Invalid save state data.' });
+    }
+    uploadBytes.observe({ kind: 'state' }, state.length);
+    ack({ meta: writeState({
+      romHash, romName, slot,
+      roomId:    socket.data.roomId,
+      savedBy:   room.players.get(socket.id)?.name,
+      state,
+      thumbnail: Buffer.isBuffer(thumbnail) ? thumbnail : null,
+    }) });
+  });
+
+  // Emulator page only: the checkpoint a handover resumes from (slot 0)
+  socket.on('state:checkpoint', ({ romHash, state } = {}, ack) => {
+    if (typeof ack !== 'function') ack = () => {};
+    const room = rooms.get(socket.data.roomId);
+    if (!room || room.emulatorSocket !== socket.id) return ack({ error: 'Only the emulator page writes checkpoints.' });
+    if (romHash !== room.romHash) return ack({ error: 'Only the running game can be checkpointed.' });
+    if (!Buffer.isBuffer(state) || !state.length || state.length > MAX_STATE_SIZE) {
+      return ack({ error: 'Invalid save state data.' });
+    }
+    const meta = writeState({
+      romHash, slot: CHECKPOINT_SLOT, state,
+      romName: room.romName,
+      roomId:  socket.data.roomId,
+      savedBy: room.players.get(socket.id)?.name,
+    });
+    room.checkpoint = { romHash, savedAt: meta.savedAt };
+    persistRooms();
+    ack({ meta });
+  });
+
+  socket.on('state:load', ({ romHash, slot } = {}, ack) => {
+    if (typeof ack !== 'function') return;
+    slot = validStateSlot(slot);
+    if (!validRomHash(romHash) || slot === null) return ack({ error: 'Invalid ROM hash or slot.' });
+    ack(readState(romHash, slot) || { error: 'No save state in this slot.' });
+  });
+
+  // Host only, for the game the room is running; never the checkpoint slot
+  socket.on('state:delete', ({ romHash, slot } = {}, ack) => {
+    if (typeof ack !== 'function') ack = () => {};
+    const room = hostRoom(socket);
+    slot = validStateSlot(slot);
+    if (!room) return ack({ error: 'Only the host can delete save states.' });
+    if (!validRomHash(romHash) || slot === null) return ack({ error: 'Invalid ROM hash or slot.' });
+    if (room.romHash !== romHash) return ack({ error: 'Only the running game\'s save states can be deleted.' });
+    if (slot === CHECKPOINT_SLOT) return ack({ error: 'The checkpoint slot can\'t be deleted.' });
+    ack(deleteState(romHash, slot) ? { ok: true } : { error: 'No save state in this slot.' });
+  });
+
+  // ── Input movies (host only) ───────────────────────────────────────────────
+  // state = the save state the recording starts from (binary)
+  socket.on('movie:start', ({ romHash, romName, state } = {}, ack) => {
+    if (typeof ack !== 'function') ack = () => {};
+    const room = hostRoom(socket);
+    if (!room) return ack({ error: 'Only the host can record.' });
+    if (room.movie) return ack({ error: 'Already recording.' });
+    if (!validRomHash(romHash)) return ack({ error: 'Invalid ROM hash.' });
+    if (!Buffer.isBuffer(state) || !state.length || state.length > MAX_STATE_SIZE) {
+      return ack({ error: 'Invalid start state.' });
+    }
+    const movie = startMovie(socket.data.roomId, room, {
+      romHash, romName, state,
+      startedBy: room.players.get(socket.id)?.name,
+    });
+    io.to(socket.data.roomId).emit('movie:started', movieMeta(movie));
+    ack({ id: movie.id });
+  });
+
+  socket.on('movie:stop', (_, ack) => {
+    if (typeof ack !== 'function') ack = () => {};
+    const room = hostRoom(socket);
+    if (!room) return ack({ error: 'Only the host can record.' });
+    const meta = stopMovie(room);
+    ack(meta ? { movie: meta } : { error: 'Not recording.' });
+  });
+
+  // ── Clips and screenshots ──────────────────────────────────────────────────
+  // kind: 'clip' (default) or 'shot'. The emulator page records and uploads
+  // to /api/media, then answers; its { ok } or { error } goes back to the
+  // sender and the chat announces the upload.
+  socket.on('media:capture', ({ kind = 'clip' } = {}, ack) => {
+    if (typeof ack !== 'function') ack = () => {};
+    const room   = rooms.get(socket.data.roomId);
+    const target = room && io.sockets.sockets.get(room.emulatorSocket || room.host);
+    if (kind !== 'clip' && kind !== 'shot') return ack({ error: 'Unknown capture kind.' });
+    if (!room || !room.romHash) return ack({ error: 'No game is running.' });
+    if (!target || target === socket) return ack({ error: 'No emulator to capture from.' });
+    target.timeout(MEDIA_CAPTURE_MS).emit('media:capture', { kind, socketId: socket.id, name: room.players.get(socket.id).name },
+      (err, res) => ack(err ? { error: 'The emulator did not answer.' } : res || { ok: true }));
+  });
+
   // ── Host sets the ROM name (shown in lobby) ────────────────────────────────
-  socket.on('room:setrom', ({ romName }) => {
+  // system: the console the ROM runs on, which becomes the room's
+  socket.on('room:setrom', ({ romName, romHash, system } = {}) => {
     const { roomId } = socket.data;
     const room = rooms.get(roomId);
     if (!room) return;
-    room.romName = String(romName || '').slice(0, 80);
+    if (Systems.has(system)) setRoomSystem(roomId, room, system);
+    const name = String(romName || '').slice(0, 80);
+    const hash = validRomHash(romHash) ? romHash : null;
+    const changed = name !== room.romName || hash !== room.romHash;
+    if (hash !== room.romHash) room.padLayout = null;   // it was for the previous game
+    room.romName = name;
+    room.romHash = hash;
+    updateQueue(roomId, room);   // another console may have more ports
+    io.to(roomId).emit('room:updated', roomInfo(roomId));
+    if (changed && name) systemMessage(roomId, 'rom', { rom: name });
     broadcastRoomList();
   });
 
+  // ── Host room settings ────────────────────────────────────────────────────
+  // assists: whether players may use turbo buttons and macros. Enforced by
+  // the bundled controllers, which turn both off when the flag is false.
+  // ports: { 1: device, 2: device } plugged into the console (mouse, scope…)
+  // system: the console picked before a ROM is loaded (see room:setrom)
+  // rotation: { rule, seconds } of the play queue (see updateQueue())
+  // share: how the inputs of people sharing a slot are merged (see mergeSlot())
+  socket.on('room:settings', ({ assists, ports, system, rotation, share, crowd } = {}) => {
+    const room = hostRoom(socket);
+    if (!room) return;
+    const switched = Systems.has(system) && setRoomSystem(socket.data.roomId, room, system);
+    if (typeof assists === 'boolean') room.settings.assists = assists;
+    if (ports && typeof ports === 'object') {
+      for (const port of [1, 2]) {
+        if (PORT_DEVICES[port].includes(ports[port])) room.settings.ports[port] = ports[port];
+      }
+    }
+    if (rotation && typeof rotation === 'object') {
+      const current = room.settings.rotation;
+      const rule    = ROTATION_RULES.includes(rotation.rule) ? rotation.rule : current.rule;
+      const seconds = Number.isFinite(rotation.seconds)
+        ? Math.round(Math.min(ROTATION_SECONDS.max, Math.max(ROTATION_SECONDS.min, rotation.seconds)))
+        : current.seconds;
+      if (rule !== current.rule || seconds !== current.seconds) stopTurnClock(room);   // restarts with the new length
+      room.settings.rotation = { rule, seconds };
+    }
+    if (SHARE_MODES.includes(share) && share !== room.settings.share) {
+      room.settings.share = share;
+      for (let slot = 1; slot <= roomMaxPlayers(room); slot++) releaseSlot(room, slot);   // re-merge
+    }
+    if (crowd && typeof crowd === 'object') {
+      const next = cleanCrowdSettings(room, crowd);
+      const { mode, slot } = room.settings.crowd;
+      if (next.mode !== mode || next.slot !== slot) {
+        stopCrowd(room);   // on the old slot
+        room.settings.crowd = next;
+        crowdTally(socket.data.roomId, room);
+        systemMessage(socket.data.roomId, 'crowd', { mode: next.mode, slot: next.slot });
+      } else {
+        room.settings.crowd = next;
+      }
+    }
+    updateQueue(socket.data.roomId, room);
+    io.to(socket.data.roomId).emit('room:updated', roomInfo(socket.data.roomId));
+    if (switched) broadcastRoomList();   // lobby shows the console and its player count
+    else persistRooms();
+  });
+
+  // ── Host pushes a recommended touch layout for the current ROM ─────────────
+  // layout: see public/js/pad-layout.js; null clears it
+  socket.on('room:layout', ({ layout } = {}, ack) => {
+    if (typeof ack !== 'function') ack = () => {};
+    const room = hostRoom(socket);
+    if (!room) return ack({ error: 'Only the host can set the layout.' });
+    if (!room.romHash) return ack({ error: 'Load a ROM first.' });
+    if (layout == null) {
+      room.padLayout = null;
+      persistRooms();
+      return ack({ ok: true });
+    }
+    const clean = sanitizePadLayout(layout);
+    if (!clean) return ack({ error: 'Invalid layout.' });
+    room.padLayout = clean;
+    persistRooms();
+    socket.to(socket.data.roomId).emit('room:layout', { layout: clean });
+    ack({ ok: true });
+  });
+
   // ── WebRTC signaling relay ─────────────────────────────────────────────────
   socket.on('webrtc:offer', ({ to, offer }) => {
+    webrtcSignals.inc({ type: 'offer' });
     io.to(to).emit('webrtc:offer', { from: socket.id, offer });
   });
 
   socket.on('webrtc:answer', ({ to, answer }) => {
+    webrtcSignals.inc({ type: 'answer' });
     io.to(to).emit('webrtc:answer', { from: socket.id, answer });
   });
 
   socket.on('webrtc:ice', ({ to, candidate }) => {
+    webrtcSignals.inc({ type: 'ice' });
     io.to(to).emit('webrtc:ice', { from: socket.id, candidate });
   });
 
@@ -278,6 +2757,35 @@ io.on('connection', socket => {
     console.log(`  ↳ emulator:game-started broadcast in room "${roomId}"`);
   });
 
+  // ── Answer to emulator:offer (host migration) ─────────────────────────────
+  // Ack: { takeover } for an emulator page, which boots the game right away;
+  // { url } for a viewer, which reloads there as the emulator page.
+  socket.on('emulator:answer', ({ accept } = {}, ack) => {
+    if (typeof ack !== 'function') ack = () => {};
+    const { roomId } = socket.data;
+    const room = rooms.get(roomId);
+    const h    = room && room.handover;
+    if (!h || h.offer !== socket.id) return ack({ error: 'The offer has expired.' });
+    if (!accept) {
+      offerEmulator(roomId, room);
+      return ack({ ok: true });
+    }
+    const player = room.players.get(socket.id);
+    if (player.role === 'emulator') {
+      const takeover = takeoverInfo(roomId, room);
+      cancelHandover(room);
+      announceEmulator(socket, roomId, room);
+      handovers.inc({ outcome: 'taken' });
+      systemMessage(roomId, 'emulator', { name: player.name });
+      return ack({ takeover });
+    }
+    clearTimeout(h.timer);
+    h.offer    = null;
+    h.accepted = player.token;
+    h.timer    = setTimeout(() => offerEmulator(roomId, room), HANDOVER_JOIN_MS);
+    ack({ url: `/?room=${encodeURIComponent(roomId)}` });
+  });
+
   // ── Viewer requests a (re-)offer from the emulator host ───────────────────
   // Fired when the viewer didn't receive a stream within the timeout, or
   // when the user manually clicks "Retry stream".
@@ -285,6 +2793,7 @@ io.on('connection', socket => {
     const { roomId } = socket.data;
     const room = rooms.get(roomId);
     if (!room || !room.emulatorSocket) return;
+    webrtcSignals.inc({ type: 'request-offer' });
     io.to(room.emulatorSocket).emit('viewer:joined', {
       socketId: socket.id,
       slot:     socket.data.slot,
@@ -294,51 +2803,114 @@ io.on('connection', socket => {
   });
 
   // ── Latency probe — viewer uses this to measure round-trip time ────────────
-  socket.on('perf:ping', (_, ack) => { if (typeof ack === 'function') ack(Date.now()); });
+  // rtt: the client's previous measurement (ms), collected for /metrics
+  socket.on('perf:ping', ({ rtt } = {}, ack) => {
+    if (rtt > 0 && rtt < 60_000) pingRtt.observe({}, rtt / 1000);
+    if (typeof ack === 'function') ack(Date.now());
+  });
+
+  // ── Press-to-photon report — a viewer's recent averages (js/latency.js) ─────
+  // Relayed to the emulator page for its per-player HUD and session report
+  socket.on('perf:latency', (report) => {
+    const { roomId, slot } = socket.data;
+    const room   = rooms.get(roomId);
+    const player = room && room.players.get(socket.id);
+    if (!player || !(report.total > 0 && report.total < 60_000)) return;
+    pressToPhoton.observe({}, report.total / 1000);
+    const target = room.emulatorSocket || room.host;
+    if (target && target !== socket.id) {
+      io.to(target).emit('perf:latency', { ...report, socketId: socket.id, slot, name: player.name });
+    }
+  });
 
   // ── Chat message ─────────────────────────────────────────────────────────────
-  socket.on('chat:msg', ({ text }) => {
+  // "/me text" posts an action, "/mute name" and "/unmute name" are host-only
+  socket.on('chat:msg', ({ text } = {}) => {
     const { roomId, slot } = socket.data;
-    const room = rooms.get(roomId);
-    if (!room) return;
-    const player = room.players.get(socket.id);
-    io.to(roomId).emit('chat:msg', {
-      from: player ? player.name : 'Unknown',
+    const room   = rooms.get(roomId);
+    const player = room && room.players.get(socket.id);
+    if (!player) return;
+    const body = cleanChatText(text);
+    if (!body) return;
+
+    socket.data.chatLimit ??= new RateLimiter(CHAT_RATE);
+    if (!socket.data.chatLimit.take()) {
+      return chatError(socket, 'rate-limited', 'You are sending messages too fast.');
+    }
+    const cmd = parseChatCommand(body);
+    if (cmd && cmd.command !== 'me') return chatCommand(socket, room, cmd);
+    if (room.muted.has(normalizeName(player.name))) {
+      return chatError(socket, 'muted', 'The host muted you in this room.');
+    }
+    const said = cmd ? cmd.arg : body;
+    if (!said) return;
+    postChat(roomId, {
+      type:     cmd ? 'me' : 'user',
+      from:     player.name,
       slot,
-      text: String(text).slice(0, 200)
+      text:     said,
+      mentions: findMentions(said, [...room.players.values()].map(p => p.name)),
     });
+    // Chat plays: a message that is only a button name also presses or votes
+    const press = !cmd && crowdSlot(room) && parseCrowdCommand(said, room.system);
+    if (press) crowdInput(socket, room, player, press);
   });
 
   // ── Disconnect ───────────────────────────────────────────────────────────────
-  socket.on('disconnect', () => {
+  socket.on('disconnect', (reason) => {
     const { roomId } = socket.data;
     if (!roomId) return;
 
     const room = rooms.get(roomId);
     if (!room) return;
 
+    const player = room.players.get(socket.id);
     room.players.delete(socket.id);
+    room.held.delete(socket.id);
+
+    if (player) {
+      releaseSlot(room, player.slot);
+      // Hold the seat unless the client left on purpose or was kicked
+      if (reason !== 'client namespace disconnect' && !socket.data.kicked) {
+        reserveSeat(roomId, room, player, { wasHost: holdsHost(room, socket.id) });
+      } else {
+        dequeue(room, player.token);
+      }
+    }
 
-    // Clear emulator ownership when that socket leaves
+    // Clear emulator ownership when that socket leaves, and look for someone
+    // to carry on the game
     if (room.emulatorSocket === socket.id) {
       room.emulatorSocket = null;
+      stopMovie(room);   // nothing left to replay the inputs into
       // Let remaining players know the emulator host left
       io.to(roomId).emit('emulator:left', {});
+      startHandover(roomId, room);
+    } else if (room.handover && room.handover.offer === socket.id) {
+      offerEmulator(roomId, room);   // left without answering
     }
 
-    if (room.players.size === 0) {
-      rooms.delete(roomId);
+    if (retireIfEmpty(roomId, room)) {
       broadcastRoomList();
-      console.log(`  ↳ Room "${roomId}" deleted (empty)`);
     } else {
-      // Re-assign UI-host if needed, but only to non-viewer players
+      if (player) {
+        const why = socket.data.kicked ? 'kicked' : room.reserved.has(player.token) ? 'away' : 'left';
+        systemMessage(roomId, 'leave', { name: player.name, reason: why });
+      }
+      // Re-assign UI-host if needed, but only to non-viewer players. With no
+      // one left online the host comes back on resume (or the next joiner).
       if (room.host === socket.id) {
         const next = [...room.players.entries()]
-          .find(([, p]) => p.role !== 'viewer');
-        room.host = next ? next[0] : room.players.keys().next().value;
-        io.to(roomId).emit('room:newhost', { host: room.host });
-        console.log(`  ↳ New host in room "${roomId}": ${room.host}`);
+          .find(([, p]) => p.role !== 'viewer' && p.role !== 'spectator');
+        room.host = next ? next[0] : (room.players.keys().next().value || null);
+        room.hostStandIn = false;
+        if (room.host) {
+          io.to(roomId).emit('room:newhost', { host: room.host });
+          systemMessage(roomId, 'host', { name: room.players.get(room.host).name });
+          console.log(`  ↳ New host in room "${roomId}": ${room.host}`);
+        }
       }
+      updateQueue(roomId, room);   // a slot left on purpose goes to the queue
       io.to(roomId).emit('room:updated', roomInfo(roomId));
       broadcastRoomList();
     }
@@ -347,25 +2919,50 @@ io.on('connection', socket => {
   });
 });
 
-// ─── Periodic stale-room cleanup ────────────────────────────────────────────
-// Safety net: remove any rooms that somehow kept zero players
-// (e.g. socket closed before disconnect event fired properly)
+// ─── Periodic room expiry ─────────────────────────────────────────────────────
+// Deletes rooms that have been empty for ROOM_EMPTY_TTL_MS. Also the safety
+// net for rooms that emptied without going through retireIfEmpty (e.g. a
+// socket closed before its disconnect event fired properly).
 setInterval(() => {
+  const now = Date.now();
   let cleaned = 0;
   for (const [id, room] of rooms) {
-    if (room.players.size === 0) {
-      rooms.delete(id);
+    if (!roomIsEmpty(room)) {
+      room.emptySince = null;
+      continue;
+    }
+    room.emptySince ??= now;
+    if (now - room.emptySince >= ROOM_EMPTY_TTL_MS) {
+      dropRoom(id, room);
       cleaned++;
-      console.log(`  [cleanup] Room "${id}" removed (stale/empty)`);
+      console.log(`  [cleanup] Room "${id}" removed (empty)`);
     }
   }
   if (cleaned) broadcastRoomList();
-}, 30_000); // every 30 s
+}, ROOM_SWEEP_MS);
+
+// ─── Shutdown ─────────────────────────────────────────────────────────────────
+// Finish recordings and write the rooms before exiting. nodemon restarts with
+// SIGUSR2 and waits for the process to exit.
+for (const signal of ['SIGINT', 'SIGTERM', 'SIGUSR2']) {
+  process.once(signal, () => {
+    for (const room of rooms.values()) {
+      try { stopMovie(room); } catch (e) { console.error(`[movies] ${e.message}`); }
+    }
+    saveRooms();
+    process.kill(process.pid, signal);
+  });
+}
 
 // ─── Start ────────────────────────────────────────────────────────────────────
+loadRooms();
 server.listen(PORT, () => {
   console.log(`SNES Multiplayer Emulator`);
   console.log(`  Game:       http://localhost:${PORT}/`);
   console.log(`  Controller: http://localhost:${PORT}/controller.html`);
   console.log(`  Rooms:      share the room ID with friends`);
+  const ejs = checkEmulatorJs(EJS_DATA_DIR);
+  console.log(`  EmulatorJS: ${ejs.ok ? EJS_DATA_DIR : ejs.found.length ? `${EJS_DATA_DIR} (incomplete, run npm run setup)` : 'CDN'}`);
+  console.log(`  WebRTC:     ${ICE_SERVERS.length ? ICE_SERVERS.map(s => [].concat(s.urls).join(' ')).join(', ') : 'host candidates only (ICE_SERVERS=none)'}`);
+  console.log(`  Admin:      http://localhost:${PORT}/admin` + (process.env.ADMIN_TOKEN ? '' : ` (token: ${ADMIN_TOKEN})`));
 });
@@ -0,0 +1,56 @@
+'use strict';
+
+// The page scripts are plain browser globals, so load them into one context
+// the way index.html does.
+
+const test   = require('node:test');
+const assert = require('node:assert');
+const fs     = require('fs');
+const path   = require('path');
+const vm     = require('vm');
+
+function loadController () {
+  const ctx = vm.createContext({ performance, console, requestAnimationFrame () {}, cancelAnimationFrame () {} });
+  for (const file of ['systems.js', 'peripherals.js', 'socket-controller.js']) {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '../public/js', file), 'utf8'), ctx, { filename: file });
+  }
+  return vm.runInContext('SocketController', ctx);
+}
+
+test('share() sends room:share for the host', () => {
+  const SocketController = loadController();
+  const ctrl = new SocketController('room', 'Host');
+  const sent = [];
+  ctrl.socket    = { id: 'me', emit: (event, data) => sent.push([event, { ...data }]) };
+  ctrl.connected = true;
+
+  ctrl.share('abc', 2);
+  ctrl.share('abc', 2, 'move');
+
+  assert.deepStrictEqual(sent, [
+    ['room:share', { socketId: 'abc', slot: 2 }],
+    ['room:share', { socketId: 'abc', slot: 2, part: 'move' }],
+  ]);
+});
+
+test('a room share mode update leaves share() callable', () => {
+  const SocketController = loadController();
+  const ctrl = new SocketController('room', 'Host');
+  ctrl.socket    = { id: 'me', emit () {} };
+  ctrl.connected = true;
+  ctrl._applyShare({ settings: { share: 'split' }, players: [{ id: 'me', slot: 1, part: 'move' }, { id: 'b', slot: 1 }] });
+  assert.strictEqual(typeof ctrl.share, 'function');
+});
+
+test('two senders sharing a slot keep their own sequence numbers', () => {
+  const SocketController = loadController();
+  const ctrl = new SocketController('room', 'Host');
+  for (const seq of [1, 2, 3]) {
+    ctrl._trackInput(1, 'ana', seq, Date.now());
+    ctrl._trackInput(1, 'bob', 40 + seq, Date.now());
+  }
+  ctrl._trackInput(1, 'ana', 5, Date.now());
+
+  assert.strictEqual(ctrl.inputStats[1].received, 7);
+  assert.strictEqual(ctrl.inputStats[1].dropped, 1);
+});